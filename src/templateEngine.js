@@ -23,17 +23,64 @@ class SpandrixEngine {
             csrfCookieName: 'XSRF-TOKEN',
             csrfHeaderName: 'X-XSRF-TOKEN',
             enablePerformanceMetrics: false,
-            maxRecursionDepth: 50
+            maxRecursionDepth: 50,
+            maxExpressionCacheSize: 1000,
+            asyncPlaceholder: '…',
+            expressionMode: 'function',
+            sanitizeRawHTML: false,
+            sanitizer: {},
+            bindingPolicy: {},
+            trustedTypesPolicy: null,
+            sandbox: false,
+            removeComponentStyles: false
         }, userOptions || {});
 
         this.components = {};
+        this._componentStyles = new Map();
         this.filters = {};
         this._eventListeners = [];
-        this._performanceMetrics = { renders: 0, updates: 0, avgRenderTime: 0 };
+        this._performanceMetrics = this._createPerformanceMetrics();
+        this._expressionCache = new Map();
+        this._expressionIdentifierCache = new Map();
+        this._filterChainCache = new Map();
+        this._asyncFilterResults = new Map();
+        this._asyncSites = new WeakMap();
+        this._asyncFilterNames = new Set();
+        this._scopeObjectIds = new WeakMap();
+        this._scopeObjectIdCounter = 0;
+        this._pendingAsyncValue = Symbol('spx-pending');
+        this._trustedTypesPolicy = null;
+        this._trustedTypesPolicyFailed = null;
+        this._optionalChainShortCircuit = Symbol('spx-optional-chain');
+        this._blockedInterpreterProperties = new Set([
+            'constructor', '__proto__', 'prototype',
+            '__defineGetter__', '__defineSetter__', '__lookupGetter__', '__lookupSetter__'
+        ]);
+        this._sandboxWarnings = new Set();
+        this._sandboxGlobals = {
+            Math, JSON, Date, Number, String, Boolean, Array, Object, Intl,
+            parseInt, parseFloat, isNaN, isFinite,
+            encodeURIComponent, decodeURIComponent, encodeURI, decodeURI,
+            NaN, Infinity, undefined
+        };
+        this._frozenSandboxGlobals = new WeakMap();
+        [Math, JSON, Date, Number, String, Boolean, Array, Object, Intl].forEach(value =>
+            this._frozenSandboxGlobals.set(value, this._createFrozenGlobal(value))
+        );
+        this._dependencyMap = new WeakMap();
+        this._iterateKey = Symbol('spx-iterate');
+        this._loopSourcesKey = Symbol('spx-loop-sources');
+        this._effectStack = [];
+        this._rootRenderEffect = this._createEffect(() => this._scheduleRootReRender());
+        this._updateQueue = new Set();
+        this._flushPromise = null;
+        this._rootUpdateJob = {
+            _depth: -1,
+            run: () => this._reRenderRoot(this._currentRootTemplateString, this._currentRootData)
+        };
 
         this._rootDataUpdateCallback = (target, key, value, oldValue) => {
             this._logDebug(`Root data reactive change on key '${String(key)}':`, oldValue, '->', value);
-            this._scheduleRootReRender();
         };
 
         this._currentRootDataTarget = {};
@@ -43,13 +90,12 @@ class SpandrixEngine {
             '_currentRootData_initial'
         );
         this._currentRootTemplateString = null;
-        this._rootRerenderScheduled = false;
-        this.globalData = this._makeReactive({}, () => {
-            this._logDebug('GlobalData changed, updating affected components and root.');
-            this._updateComponentsUsingGlobalStateOrGlobalData();
+        this.globalData = this._makeReactive({}, (target, key) => {
+            this._logDebug(`GlobalData changed: ${String(key)}`);
         }, 'globalData');
 
         this._componentCounter = 0;
+        this.$refs = {};
         this.$state = this._makeReactive({}, (target, key, value, oldValue) => {
             this._logDebug(`Global $state changed: ${String(key)}`, oldValue, '->', value);
             this._stateWatchers.forEach(w => {
@@ -65,7 +111,6 @@ class SpandrixEngine {
                     }
                 }
             });
-            this._updateComponentsUsingGlobalStateOrGlobalData();
         }, '$state');
         this._stateWatchers = [];
 
@@ -155,15 +200,86 @@ class SpandrixEngine {
                String(changedKey).startsWith(watchPath + '.');
     }
 
+    _createEffect(scheduler) {
+        return { scheduler, deps: new Set(), active: true };
+    }
+
+    _runEffect(effect, fn) {
+        if (!effect || !effect.active) return fn();
+        this._cleanupEffect(effect);
+        this._effectStack.push(effect);
+        try {
+            return fn();
+        } finally {
+            this._effectStack.pop();
+        }
+    }
+
+    _withoutTracking(fn) {
+        this._effectStack.push(null);
+        try {
+            return fn();
+        } finally {
+            this._effectStack.pop();
+        }
+    }
+
+    _cleanupEffect(effect) {
+        effect.deps.forEach(dep => dep.delete(effect));
+        effect.deps.clear();
+    }
+
+    _stopEffect(effect) {
+        if (!effect) return;
+        this._cleanupEffect(effect);
+        effect.active = false;
+    }
+
+    _trackDependency(target, key) {
+        const effect = this._effectStack[this._effectStack.length - 1];
+        if (!effect || !effect.active) return;
+
+        let depsByKey = this._dependencyMap.get(target);
+        if (!depsByKey) {
+            depsByKey = new Map();
+            this._dependencyMap.set(target, depsByKey);
+        }
+        let dep = depsByKey.get(key);
+        if (!dep) {
+            dep = new Set();
+            depsByKey.set(key, dep);
+        }
+        if (!dep.has(effect)) {
+            dep.add(effect);
+            effect.deps.add(dep);
+        }
+    }
+
+    _triggerDependents(target, key) {
+        const depsByKey = this._dependencyMap.get(target);
+        const dep = depsByKey && depsByKey.get(key);
+        if (!dep) return;
+
+        Array.from(dep).forEach(effect => {
+            if (effect.active && !this._effectStack.includes(effect)) {
+                effect.scheduler();
+            }
+        });
+    }
+
     _makeReactive(obj, updateCallback, contextName = 'object') {
         const engine = this;
+        const ITERATE_KEY = this._iterateKey;
         if (obj && obj._isReactiveProxy) return obj;
         if (typeof obj !== 'object' || obj === null) return obj;
 
+        const isTrackedKey = key => typeof key !== 'symbol' && !String(key).startsWith('_');
+
         const handler = {
             get(target, key, receiver) {
                 if (key === '_isReactiveProxy') return true;
                 if (key === '_reactiveTarget') return target;
+                if (isTrackedKey(key)) engine._trackDependency(target, key);
                 
                 const value = Reflect.get(target, key, receiver);
 
@@ -188,6 +304,7 @@ class SpandrixEngine {
 
             set(target, key, value, receiver) {
                 const oldValue = target[key];
+                const hadKey = Object.prototype.hasOwnProperty.call(target, key);
 
                 if (value === oldValue && (typeof value !== 'object' || value === null)) {
                     return true;
@@ -195,7 +312,7 @@ class SpandrixEngine {
 
                 const result = Reflect.set(target, key, value, receiver);
                 
-                if (result && !String(key).startsWith('_')) {
+                if (result && isTrackedKey(key)) {
                     const hasChanged = JSON.stringify(oldValue) !== JSON.stringify(value);
                     if (hasChanged) {
                         engine._logDebug(`Reactive set in ${contextName}: ${String(key)}`, oldValue, '->', value);
@@ -203,6 +320,13 @@ class SpandrixEngine {
                             updateCallback(target, String(key), value, oldValue);
                         }
                     }
+                    if (hasChanged || value !== oldValue) {
+                        engine._triggerDependents(target, key);
+                    }
+                    if (!hadKey) {
+                        engine._triggerDependents(target, ITERATE_KEY);
+                        if (Array.isArray(target)) engine._triggerDependents(target, 'length');
+                    }
                 }
                 return result;
             },
@@ -211,13 +335,25 @@ class SpandrixEngine {
                 const oldValue = target[key];
                 const result = Reflect.deleteProperty(target, key);
                 
-                if (result && !String(key).startsWith('_')) {
+                if (result && isTrackedKey(key)) {
                     engine._logDebug(`Reactive delete in ${contextName}: ${String(key)}`);
                     if (updateCallback) {
                         updateCallback(target, String(key), undefined, oldValue);
                     }
+                    engine._triggerDependents(target, key);
+                    engine._triggerDependents(target, ITERATE_KEY);
                 }
                 return result;
+            },
+
+            has(target, key) {
+                if (isTrackedKey(key)) engine._trackDependency(target, key);
+                return Reflect.has(target, key);
+            },
+
+            ownKeys(target) {
+                engine._trackDependency(target, ITERATE_KEY);
+                return Reflect.ownKeys(target);
             }
         };
 
@@ -311,6 +447,162 @@ class SpandrixEngine {
         return temp.innerHTML;
     }
 
+    sanitizeHTML(input) {
+        const html = typeof input === 'string' ? input : String(input ?? '');
+        const config = this._getSanitizerConfig();
+        const template = document.createElement('template');
+        this._setInnerHTML(template, html);
+        this._sanitizeNodeTree(template.content, config);
+        return template.innerHTML;
+    }
+
+    _getTrustedTypesPolicy() {
+        const option = this.options.trustedTypesPolicy;
+        if (!option) return null;
+        if (typeof option === 'object') return option;
+
+        if (this._trustedTypesPolicyFailed === option) return null;
+        if (!this._trustedTypesPolicy || this._trustedTypesPolicy.name !== option) {
+            const factory = typeof window !== 'undefined' ? window.trustedTypes : undefined;
+            if (!factory || typeof factory.createPolicy !== 'function') {
+                this._logDebug(`Trusted Types are not supported; policy "${option}" was not created.`);
+                return null;
+            }
+            try {
+                this._trustedTypesPolicy = factory.createPolicy(option, { createHTML: html => html });
+            } catch (e) {
+                console.warn(`Spandrix: Could not create Trusted Types policy "${option}"; falling back to string assignment.`, e);
+                this._trustedTypesPolicyFailed = option;
+                this._trustedTypesPolicy = null;
+                return null;
+            }
+        }
+        return this._trustedTypesPolicy;
+    }
+
+    _toTrustedHTML(html) {
+        const policy = this._getTrustedTypesPolicy();
+        return policy ? policy.createHTML(html) : html;
+    }
+
+    _setInnerHTML(element, html) {
+        element.innerHTML = this._toTrustedHTML(html);
+    }
+
+    _getSanitizerConfig() {
+        const userConfig = this.options.sanitizer || {};
+        if (this._sanitizerConfig && this._sanitizerConfigSource === userConfig) return this._sanitizerConfig;
+
+        const defaultAttributes = {
+            '*': ['class', 'title', 'lang', 'dir'],
+            a: ['href', 'target', 'rel', 'name'],
+            img: ['src', 'alt', 'width', 'height'],
+            td: ['colspan', 'rowspan'],
+            th: ['colspan', 'rowspan', 'scope'],
+            ol: ['start', 'type'],
+            blockquote: ['cite'],
+            q: ['cite']
+        };
+        const attributes = {};
+        Object.entries(userConfig.allowedAttributes || defaultAttributes).forEach(([tag, names]) => {
+            attributes[tag.toLowerCase()] = new Set(names.map(name => name.toLowerCase()));
+        });
+
+        this._sanitizerConfigSource = userConfig;
+        this._sanitizerConfig = {
+            tags: new Set((userConfig.allowedTags || [
+                'a', 'abbr', 'b', 'blockquote', 'br', 'caption', 'code', 'dd', 'del', 'div', 'dl', 'dt',
+                'em', 'figcaption', 'figure', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'ins',
+                'kbd', 'li', 'mark', 'ol', 'p', 'pre', 'q', 's', 'small', 'span', 'strong', 'sub', 'sup',
+                'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'u', 'ul'
+            ]).map(tag => tag.toLowerCase())),
+            attributes,
+            dropContents: new Set(['script', 'style', 'template', 'iframe', 'object', 'embed', 'noscript', 'textarea', 'title', 'svg', 'math']),
+            urlAttributes: new Set(['href', 'src', 'cite', 'action', 'formaction', 'poster', 'background', 'xlink:href'])
+        };
+        return this._sanitizerConfig;
+    }
+
+    _sanitizeNodeTree(parent, config) {
+        Array.from(parent.childNodes).forEach(node => {
+            if (node.nodeType === Node.TEXT_NODE) return;
+            if (node.nodeType !== Node.ELEMENT_NODE) {
+                node.remove();
+                return;
+            }
+
+            const tag = node.localName;
+            if (!config.tags.has(tag)) {
+                if (config.dropContents.has(tag)) {
+                    node.remove();
+                    return;
+                }
+                this._sanitizeNodeTree(node, config);
+                node.replaceWith(...Array.from(node.childNodes));
+                return;
+            }
+
+            const globalAttributes = config.attributes['*'];
+            const tagAttributes = config.attributes[tag];
+            Array.from(node.attributes).forEach(attr => {
+                const name = attr.name.toLowerCase();
+                const allowed = (globalAttributes && globalAttributes.has(name)) || (tagAttributes && tagAttributes.has(name));
+                if (!allowed || name.startsWith('on') ||
+                    (config.urlAttributes.has(name) && !this._isSafeUrl(attr.value))) {
+                    node.removeAttribute(attr.name);
+                }
+            });
+            if (tag === 'a' && node.getAttribute('target') === '_blank') {
+                node.setAttribute('rel', 'noopener noreferrer');
+            }
+
+            this._sanitizeNodeTree(node, config);
+        });
+    }
+
+    _isSafeUrl(url, allowedProtocols = this._getBindingPolicy().allowedProtocols) {
+        const normalized = String(url ?? '').replace(/[\u0000-\u0020\u007f-\u009f]/g, '').toLowerCase();
+        const scheme = normalized.match(/^([a-z][a-z0-9+.-]*):/);
+        return !scheme || allowedProtocols.includes(scheme[1]);
+    }
+
+    _getBindingPolicy() {
+        const userPolicy = this.options.bindingPolicy || {};
+        return {
+            allowedProtocols: (userPolicy.allowedProtocols || ['http', 'https', 'mailto', 'tel', 'ftp', 'sms'])
+                .map(protocol => protocol.toLowerCase().replace(/:$/, '')),
+            urlAttributes: userPolicy.urlAttributes ||
+                ['href', 'src', 'action', 'formaction', 'xlink:href', 'poster', 'cite', 'background', 'srcset', 'data'],
+            blockEventHandlers: userPolicy.blockEventHandlers !== false,
+            onViolation: userPolicy.onViolation || null
+        };
+    }
+
+    _isAllowedAttributeBinding(element, attrName, value) {
+        const policy = this._getBindingPolicy();
+        const name = attrName.toLowerCase();
+        let reason = null;
+
+        if (policy.blockEventHandlers && name.startsWith('on')) {
+            reason = 'event handler attributes cannot be bound';
+        } else if (policy.urlAttributes.includes(name) && value !== undefined && value !== null && typeof value !== 'boolean') {
+            const urls = name === 'srcset'
+                ? String(value).split(',').map(candidate => candidate.trim().split(/\s+/)[0])
+                : [String(value)];
+            const blockedUrl = urls.find(url => !this._isSafeUrl(url, policy.allowedProtocols));
+            if (blockedUrl !== undefined) reason = `protocol of "${blockedUrl}" is not allowed`;
+        }
+
+        if (!reason) return true;
+        if (this.options.debug) {
+            console.warn(`Spandrix: Neutralized binding of "${attrName}" on <${element.tagName.toLowerCase()}>: ${reason}.`);
+        }
+        if (typeof policy.onViolation === 'function') {
+            policy.onViolation({ element, attribute: attrName, value, reason });
+        }
+        return false;
+    }
+
     _isValidExpression(expression) {
         const dangerousPatterns = [
             /Function\s*\(/i,
@@ -325,6 +617,28 @@ class SpandrixEngine {
     }
 
     registerComponent(name, definition) {
+        if (typeof definition === 'function') {
+            definition = { loader: definition };
+        }
+        if (name && definition && !definition.template && typeof definition.loader === 'function') {
+            const lowerCaseName = name.toLowerCase();
+            this.components[lowerCaseName] = {
+                _name: lowerCaseName,
+                _isAsync: true,
+                _loader: definition.loader,
+                _loadPromise: null,
+                _loadError: null,
+                _waitingHosts: new Map(),
+                _staleOwners: new Set(),
+                loading: definition.loading || '',
+                error: definition.error === undefined
+                    ? '<div class="spx-async-error">Failed to load component. <button type="button" data-on:click="retry()">Retry</button></div>'
+                    : definition.error
+            };
+            this._logDebug(`Registered async component: <${lowerCaseName}>`);
+            return;
+        }
+
         if (!name || !definition || !definition.template) {
             console.error("Spandrix: Invalid component definition for", name);
             return;
@@ -370,6 +684,24 @@ class SpandrixEngine {
         this._logDebug(`Registered filter: "${name}"`);
     }
 
+    applyFilter(name, value, ...args) {
+        const filterFn = this.filters[name];
+        if (typeof filterFn !== 'function') {
+            console.warn(`Spandrix: Filter "${name}" not found.`);
+            return value;
+        }
+        return filterFn(value, ...args);
+    }
+
+    exposeGlobal(name, value) {
+        if (typeof name !== 'string' || !/^[a-zA-Z_$][\w$]*$/.test(name)) {
+            console.error(`Spandrix: Cannot expose global "${name}": not a valid identifier.`);
+            return;
+        }
+        this._sandboxGlobals[name] = value;
+        this._logDebug(`Exposed global: "${name}"`);
+    }
+
     _registerCoreFilters() {
         this.registerFilter('uppercase', val => String(val || '').toUpperCase());
         this.registerFilter('lowercase', val => String(val || '').toLowerCase());
@@ -407,135 +739,259 @@ class SpandrixEngine {
         this.registerFilter('default', (val, defaultValue = '') => {
             return (val === undefined || val === null || val === '') ? defaultValue : val;
         });
+        this.registerFilter('sanitize', val => this.sanitizeHTML(val));
     }
 
-    _parseFilterCall(filterCallStr, evaluationContext) {
-        const parts = filterCallStr.split(':').map(s => s.trim());
-        const name = parts[0];
-        const args = parts.slice(1).map(argStr => {
-            if ((argStr.startsWith("'") && argStr.endsWith("'")) ||
-                (argStr.startsWith('"') && argStr.endsWith('"'))) {
-                return argStr.slice(1, -1);
-            }
-            
-            const num = parseFloat(argStr);
-            if (!isNaN(num) && isFinite(argStr)) return num;
-            
-            if (argStr === 'true') return true;
-            if (argStr === 'false') return false;
-            
-            if (argStr === 'null') return null;
-            if (argStr === 'undefined') return undefined;
-            
-            if (argStr === '$state') return this.$state;
-            if (argStr.startsWith('$state.')) {
-                return this._getValueByPath(this.$state, argStr.substring(7));
+    _splitTopLevel(source, isSeparatorAt) {
+        const segments = [];
+        const closers = { '(': ')', '[': ']', '{': '}' };
+        const stack = [];
+        let quote = null;
+        let ternaryDepth = 0;
+        let segmentStart = 0;
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+            if (quote) {
+                if (char === '\\') i++;
+                else if (char === quote) quote = null;
+                continue;
             }
-            
-            const valFromCtx = this._getValueByPath(evaluationContext, argStr);
-            if (valFromCtx !== undefined) return valFromCtx;
-            
-            if (this.globalData && argStr in this.globalData) {
-                return this.globalData[argStr];
+            if (char === '"' || char === "'" || char === '`') {
+                quote = char;
+            } else if (closers[char]) {
+                stack.push(closers[char]);
+            } else if (stack.length && char === stack[stack.length - 1]) {
+                stack.pop();
+            } else if (!stack.length) {
+                const separatorLength = isSeparatorAt(source, i, ternaryDepth);
+                if (separatorLength) {
+                    segments.push(source.slice(segmentStart, i).trim());
+                    segmentStart = i + separatorLength;
+                    i += separatorLength - 1;
+                } else if (char === '?' && source[i + 1] !== '?' && source[i + 1] !== '.' && source[i - 1] !== '?') {
+                    ternaryDepth++;
+                } else if (char === ':' && ternaryDepth > 0) {
+                    ternaryDepth--;
+                }
             }
-            
-            return undefined;
-        });
-        
-        return { name, args };
+        }
+        segments.push(source.slice(segmentStart).trim());
+        return segments;
     }
 
-    _buildScopedEvaluator(expression, baseDataContext, componentInstance, additionalScope = {}) {
-        if (!expression || typeof expression !== 'string' || !expression.trim()) {
-            return () => undefined;
-        }
+    _parseFilterChain(text) {
+        const cached = this._filterChainCache.get(text);
+        if (cached) return cached;
 
-        if (!this._isValidExpression(expression)) {
-            console.warn(`Spandrix: Blocked unsafe expression: "${expression}"`);
-            return () => undefined;
+        const [expression, ...filterSegments] = this._splitTopLevel(text, (src, i) =>
+            src[i] === '|' && src[i + 1] !== '|' && src[i - 1] !== '|' ? 1 : 0
+        );
+
+        const filters = filterSegments.map(segment => {
+            const match = segment.match(/^([\w$]+)\s*(?::([\s\S]*))?$/);
+            if (!match) return { name: segment, args: [] };
+            const args = match[2] === undefined ? [] : this._splitTopLevel(match[2], (src, i, ternaryDepth) =>
+                src[i] === ',' || (src[i] === ':' && ternaryDepth === 0) ? 1 : 0
+            ).filter(arg => arg !== '');
+            return { name: match[1], args };
+        });
+
+        const parsed = { expression, filters };
+        this._filterChainCache.set(text, parsed);
+        if (this._filterChainCache.size > this.options.maxExpressionCacheSize) {
+            this._filterChainCache.delete(this._filterChainCache.keys().next().value);
         }
+        return parsed;
+    }
 
-        const engine = this;
-        const contextKeyNames = new Set();
-        const contextValueProviders = new Map();
+    _applyFilterChain(value, filters, dataContext, componentInstance, loopScope = {}) {
+        const argLists = filters.map(({ args }) => args.map(arg =>
+            this._buildScopedEvaluator(arg, dataContext, componentInstance, loopScope)()
+        ));
+        return this._runFilterChain(value, filters, argLists, 0);
+    }
 
-        const addKeyFromProvider = (keyName, valueProvider) => {
-            if (!contextKeyNames.has(keyName) && /^[a-zA-Z_$][0-9a-zA-Z_$]*$/.test(keyName)) {
-                contextKeyNames.add(keyName);
-                contextValueProviders.set(keyName, valueProvider);
+    _runFilterChain(value, filters, argLists, startIndex) {
+        for (let i = startIndex; i < filters.length; i++) {
+            if (value === this._pendingAsyncValue) return value;
+            if (this._isThenable(value)) {
+                return value.then(resolved => this._runFilterChain(resolved, filters, argLists, i));
             }
-        };
 
-        if (additionalScope) {
-            for (const key in additionalScope) {
-                if (Object.prototype.hasOwnProperty.call(additionalScope, key)) {
-                    addKeyFromProvider(key, () => additionalScope[key]);
-                }
+            const filterName = filters[i].name;
+            if (!this.filters?.[filterName]) {
+                console.warn(`Spandrix: Filter "${filterName}" not found.`);
+                continue;
+            }
+            try {
+                value = this._runFilter(filterName, value, argLists[i]);
+            } catch (e) {
+                console.error(`Spandrix: Error in filter "${filterName}":`, e);
             }
         }
+        return value;
+    }
 
-        if (componentInstance && componentInstance._templateContext) {
-            const compCtx = componentInstance._templateContext;
-            const compDef = componentInstance._componentDef;
-            
-            if (compDef) {
-                if (compDef._propsDef) {
-                    Object.keys(compDef._propsDef).forEach(p => 
-                        addKeyFromProvider(p, () => compCtx[p])
-                    );
-                }
-                if (componentInstance._componentData) {
-                    Object.keys(componentInstance._componentData).forEach(d =>
-                        addKeyFromProvider(d, () => compCtx[d])
-                    );
-                }
-                if (compDef.computed) {
-                    Object.keys(compDef.computed).forEach(c =>
-                        addKeyFromProvider(c, () => compCtx[c])
-                    );
-                }
-                if (compDef.methods) {
-                    Object.keys(compDef.methods).forEach(m =>
-                        addKeyFromProvider(m, () => compCtx[m])
-                    );
-                }
+    _runFilter(filterName, value, args) {
+        const getMemoKey = () => {
+            try {
+                return this._withoutTracking(() => JSON.stringify([filterName, value, args]));
+            } catch (e) {
+                return null;
             }
+        };
+
+        let memoKey = this._asyncFilterNames.has(filterName) ? getMemoKey() : null;
+        const memo = memoKey !== null ? this._asyncFilterResults.get(memoKey) : null;
+        if (memo) {
+            this._trackDependency(memo, 'value');
+            return memo.settled ? memo.value : this._pendingAsyncValue;
+        }
+
+        const result = this.filters[filterName](value, ...args);
+        if (!this._isThenable(result)) return result;
+
+        this._asyncFilterNames.add(filterName);
+        if (memoKey === null) memoKey = getMemoKey();
+        if (memoKey === null) return result;
+
+        const entry = { settled: false, value: undefined };
+        this._asyncFilterResults.set(memoKey, entry);
+        if (this._asyncFilterResults.size > this.options.maxExpressionCacheSize) {
+            this._asyncFilterResults.delete(this._asyncFilterResults.keys().next().value);
+        }
+        this._trackDependency(entry, 'value');
+
+        Promise.resolve(result).then(resolved => {
+            entry.value = resolved;
+            entry.settled = true;
+            this._triggerDependents(entry, 'value');
+        }, error => {
+            console.error(`Spandrix: Async filter "${filterName}" failed:`, error);
+            entry.settled = true;
+            this._triggerDependents(entry, 'value');
+            this.nextTick(() => {
+                if (this._asyncFilterResults.get(memoKey) === entry) this._asyncFilterResults.delete(memoKey);
+            });
+        });
+        return this._pendingAsyncValue;
+    }
+
+    _isThenable(value) {
+        return !!value && (typeof value === 'object' || typeof value === 'function') &&
+            typeof value.then === 'function';
+    }
+
+    _resolveAsyncSite(promise, expression, dataContext, componentInstance, loopScope) {
+        const owner = componentInstance || dataContext || this;
+        let sites = this._asyncSites.get(owner);
+        if (!sites) {
+            sites = new Map();
+            this._asyncSites.set(owner, sites);
         }
 
-        if (baseDataContext) {
-            for (const key in baseDataContext) {
-                if (key !== '_isReactiveProxy' && 
-                    Object.prototype.hasOwnProperty.call(baseDataContext, key)) {
-                    addKeyFromProvider(key, () => baseDataContext[key]);
+        const scopeKey = this._withoutTracking(() => this._getScopeIdentityKey(loopScope));
+        const siteKey = `${expression}\u0000${scopeKey}`;
+        let site = sites.get(siteKey);
+        if (!site) {
+            site = { promise: null, hasValue: false, value: undefined };
+            sites.set(siteKey, site);
+        }
+        this._trackDependency(site, 'value');
+
+        if (site.promise !== promise) {
+            site.promise = promise;
+            promise.then(resolved => {
+                if (site.promise !== promise) return;
+                if (site.hasValue && this._isSameAsyncValue(site.value, resolved)) return;
+                site.value = resolved;
+                site.hasValue = true;
+                this._triggerDependents(site, 'value');
+            }, error => {
+                if (site.promise === promise) {
+                    console.error(`Spandrix: Promise in "${expression}" was rejected:`, error);
                 }
+            });
+        }
+
+        return site.hasValue ? site.value : this._pendingAsyncValue;
+    }
+
+    _getScopeIdentityKey(scope) {
+        return Object.keys(scope || {}).map(name => {
+            const value = scope[name];
+            if (value === null || (typeof value !== 'object' && typeof value !== 'function')) {
+                return `${name}=${typeof value}:${String(value)}`;
+            }
+            let id = this._scopeObjectIds.get(value);
+            if (!id) {
+                id = ++this._scopeObjectIdCounter;
+                this._scopeObjectIds.set(value, id);
             }
+            return `${name}=#${id}`;
+        }).join('\u0000');
+    }
+
+    _isSameAsyncValue(a, b) {
+        if (a === b) return true;
+        if (typeof a !== 'object' || typeof b !== 'object' || !a || !b) return false;
+        try {
+            return JSON.stringify(a) === JSON.stringify(b);
+        } catch (e) {
+            return false;
         }
+    }
 
-        if (engine.globalData) {
-            for (const key in engine.globalData) {
-                if (Object.prototype.hasOwnProperty.call(engine.globalData, key)) {
-                    addKeyFromProvider(key, () => engine.globalData[key]);
-                }
+    _buildScopedEvaluator(expression, baseDataContext, componentInstance, additionalScope = {}, allowPending = false) {
+        if (!expression || typeof expression !== 'string' || !expression.trim()) {
+            return () => undefined;
+        }
+
+        if (!this._isValidExpression(expression)) {
+            console.warn(`Spandrix: Blocked unsafe expression: "${expression}"`);
+            return () => undefined;
+        }
+
+        const settle = (value) => {
+            if (this._isThenable(value)) {
+                value = this._resolveAsyncSite(value, expression, baseDataContext, componentInstance, additionalScope);
             }
+            return (value === this._pendingAsyncValue && !allowPending) ? undefined : value;
+        };
+
+        const { expression: baseExpression, filters } = this._parseFilterChain(expression);
+        if (filters.length) {
+            const evaluateBase = this._buildScopedEvaluator(baseExpression, baseDataContext, componentInstance, additionalScope, true);
+            return () => settle(
+                this._applyFilterChain(evaluateBase(), filters, baseDataContext, componentInstance, additionalScope)
+            );
         }
 
-        addKeyFromProvider('$state', () => engine.$state);
-        addKeyFromProvider('globalData', () => engine.globalData);
+        const engine = this;
+        const scope = this._resolveExpressionScope(
+            this._getExpressionIdentifiers(expression),
+            baseDataContext,
+            componentInstance,
+            additionalScope
+        );
 
-        const finalKeys = Array.from(contextKeyNames);
+        const finalKeys = Array.from(scope.keys());
         const debugCtx = componentInstance 
             ? `<${componentInstance._componentDef._name}>` 
             : 'Root';
         
         engine._logDebug(`Evaluator for "${expression}" in ${debugCtx} with keys:`, finalKeys);
 
+        if (!engine._isSandboxSafeExpression(expression, debugCtx)) return () => undefined;
+
         try {
-            const fn = new Function(...finalKeys, `return (${expression});`);
+            const fn = engine._getCompiledExpression(expression, finalKeys, false, debugCtx);
             
             return () => {
                 try {
-                    const values = finalKeys.map(k => contextValueProviders.get(k)?.());
-                    return fn(...values);
+                    const values = finalKeys.map(k => scope.get(k).get());
+                    return settle(fn(...values));
                 } catch (e) {
                     if (engine.options.strictExpressions) throw e;
                     engine._logDebug(`Eval error in "${expression}":`, e.message);
@@ -548,116 +1004,987 @@ class SpandrixEngine {
         }
     }
 
-    _interpolateString(templateStr, dataContext, componentInstance = null, loopScope = {}) {
-        if (typeof templateStr !== 'string') return String(templateStr ?? '');
-        
-        return templateStr.replace(/{{{([\s\S]*?)}}}|{{([\s\S]*?)}}/g, (_match, rawExpr, escapedExpr) => {
-            const isRaw = !!rawExpr;
-            let expressionAndFilters = (isRaw ? rawExpr : escapedExpr).trim();
-            const parts = expressionAndFilters.split('|').map(s => s.trim());
-            const expression = parts[0];
-            const filterCalls = parts.slice(1);
-            
-            let value = this._buildScopedEvaluator(expression, dataContext, componentInstance, loopScope)();
-            
-            const filterArgEvalContext = {
-                ...(componentInstance ? componentInstance._templateContext : {}),
-                ...dataContext,
-                ...loopScope,
-                ...this.globalData,
-                $state: this.$state
-            };
+    _resolveExpressionScope(names, baseDataContext, componentInstance, additionalScope = {}) {
+        const scope = new Map();
+        const hasOwn = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+        const hasReactiveOwn = (obj, key) => key in obj && hasOwn(obj, key);
+        const compCtx = componentInstance && componentInstance._templateContext;
+        const compDef = compCtx && componentInstance._componentDef;
+        const fromObject = (obj, name) => ({
+            get: () => obj[name],
+            set: (value) => { obj[name] = value; }
+        });
 
-            for (const filterCallStr of filterCalls) {
-                const { name: filterName, args: filterArgs } = this._parseFilterCall(
-                    filterCallStr,
-                    filterArgEvalContext
-                );
-                
-                if (this.filters?.[filterName]) {
-                    try {
-                        value = this.filters[filterName](value, ...filterArgs);
-                    } catch (e) {
-                        console.error(`Spandrix: Error in filter "${filterName}":`, e);
-                    }
-                } else {
-                    console.warn(`Spandrix: Filter "${filterName}" not found.`);
-                }
-            }
+        names.forEach(name => {
+            if (scope.has(name) || !/^[a-zA-Z_$][0-9a-zA-Z_$]*$/.test(name)) return;
 
-            if (isRaw) {
-                if (!this.options.allowRawHTML) {
-                    console.warn(`Spandrix: Raw HTML disabled for {{{ ${expression} }}}`);
-                    return this.options.missingValuePlaceholder;
-                }
-                return String(value ?? '');
+            if (additionalScope && hasOwn(additionalScope, name)) {
+                const loopSource = additionalScope[this._loopSourcesKey]?.[name];
+                scope.set(name, loopSource ? {
+                    get: () => additionalScope[name],
+                    set: (value) => {
+                        additionalScope[name] = value;
+                        loopSource.collection[loopSource.key] = value;
+                    }
+                } : fromObject(additionalScope, name));
+            } else if (compDef && (
+                (compDef._propsDef && hasOwn(compDef._propsDef, name)) ||
+                (componentInstance._componentData && hasReactiveOwn(componentInstance._componentData, name)) ||
+                (compDef.computed && hasOwn(compDef.computed, name)) ||
+                (compDef.methods && hasOwn(compDef.methods, name)) ||
+                (componentInstance._injections && hasOwn(componentInstance._injections, name)))) {
+                scope.set(name, fromObject(compCtx, name));
+            } else if (baseDataContext && name !== '_isReactiveProxy' && hasReactiveOwn(baseDataContext, name)) {
+                scope.set(name, fromObject(baseDataContext, name));
+            } else if (this.globalData && hasReactiveOwn(this.globalData, name)) {
+                scope.set(name, fromObject(this.globalData, name));
+            } else if (name === '$state') {
+                scope.set(name, { get: () => this.$state, set: null });
+            } else if (name === 'globalData') {
+                scope.set(name, { get: () => this.globalData, set: null });
             }
-            
-            const stringValue = (value === undefined || value === null)
-                ? this.options.missingValuePlaceholder
-                : (typeof value === 'object' ? JSON.stringify(value) : String(value));
-            
-            return this._sanitizeHTML(stringValue);
         });
-    }
 
-    _evaluateCondition(expression, dataContext, componentInstance, additionalScope = {}) {
-        const result = this._buildScopedEvaluator(
-            expression,
-            dataContext,
-            componentInstance,
-            additionalScope
-        )();
-        return !!result;
+        return scope;
     }
 
-    _createEventHandler(element, handlerExpression, dataContext, componentInstance, loopScope = {}) {
-        const match = handlerExpression.match(/^([\w$.]+)(?:\(([\s\S]*)\))?$/);
-        if (!match) {
-            console.warn(`Spandrix: Invalid event handler: "${handlerExpression}"`);
-            return null;
+    _buildScopedStatement(statement, baseDataContext, componentInstance, additionalScope = {}) {
+        if (!this._isValidExpression(statement)) {
+            console.warn(`Spandrix: Blocked unsafe expression: "${statement}"`);
+            return () => undefined;
         }
 
-        const handlerNameOrPath = match[1];
-        const argsString = match[2] || "";
-
-        const getHandlerFn = this._buildScopedEvaluator(
-            handlerNameOrPath,
-            dataContext,
+        const scope = this._resolveExpressionScope(
+            this._getExpressionIdentifiers(statement),
+            baseDataContext,
             componentInstance,
-            loopScope
+            additionalScope
         );
 
-        return (event) => {
-            const handlerFnInstance = getHandlerFn();
-            
-            if (typeof handlerFnInstance !== 'function') {
-                console.warn(`Spandrix: Handler "${handlerNameOrPath}" not found.`);
-                return;
+        const defaultTarget = componentInstance ? componentInstance._templateContext : baseDataContext;
+        const assignmentRegex = /(?:^|[^.\w$])([a-zA-Z_$][\w$]*)\s*(?:\+\+|--|(?:\*\*|<<|>>>?|&&|\|\||\?\?|[-+*\/%&|^])?=(?!=))|(?:\+\+|--)\s*([a-zA-Z_$][\w$]*)/g;
+        let match;
+        while ((match = assignmentRegex.exec(statement)) !== null) {
+            const name = match[1] || match[2];
+            if (!scope.has(name) && defaultTarget) {
+                scope.set(name, {
+                    get: () => defaultTarget[name],
+                    set: (value) => { defaultTarget[name] = value; }
+                });
             }
+        }
 
-            const argEvalContext = { ...loopScope, '$event': event };
-            const resolvedArgs = argsString.split(',')
-                .map(arg => arg.trim())
-                .filter(arg => arg)
-                .map(argStr => {
-                    if (argStr === '$event') return event;
-                    return this._buildScopedEvaluator(
-                        argStr,
-                        dataContext,
-                        componentInstance,
-                        argEvalContext
-                    )();
-                });
+        const keyNames = Array.from(scope.keys());
+        const debugCtx = componentInstance
+            ? `<${componentInstance._componentDef._name}>`
+            : 'Root';
+        if (!this._isSandboxSafeExpression(statement, debugCtx)) return () => undefined;
 
-            try {
-                let methodOwnerContext = componentInstance 
-                    ? componentInstance._templateContext 
-                    : dataContext;
-                
-                if (handlerNameOrPath.includes('.')) {
-                    const pathParts = handlerNameOrPath.split('.');
-                    pathParts.pop();
+        let fn;
+        try {
+            fn = this._getCompiledExpression(statement, keyNames, true, debugCtx);
+        } catch (e) {
+            console.error(`Spandrix: Compile error in "${statement}":`, e.message);
+            return () => undefined;
+        }
+
+        const statementScope = this._createStatementScope(scope, statement, defaultTarget);
+        return () => {
+            fn(statementScope);
+        };
+    }
+
+    _createStatementScope(scope, statement, defaultTarget) {
+        return new Proxy(Object.create(null), {
+            has: (target, name) => typeof name === 'string' && scope.has(name),
+            get: (target, name) => {
+                if (typeof name === 'string' && scope.has(name)) return scope.get(name).get();
+                return defaultTarget && typeof name === 'string' ? defaultTarget[name] : undefined;
+            },
+            set: (target, name, value) => {
+                const provider = scope.get(name);
+                try {
+                    if (provider && provider.set) provider.set(value);
+                    else if (!provider && defaultTarget) defaultTarget[name] = value;
+                    else throw new TypeError(`"${String(name)}" is read-only`);
+                } catch (e) {
+                    this._logDebug(`Could not assign "${String(name)}" in "${statement}":`, e.message);
+                }
+                return true;
+            },
+            getOwnPropertyDescriptor: (target, name) => (typeof name === 'string' && scope.has(name)
+                ? { value: undefined, writable: true, enumerable: true, configurable: true }
+                : undefined)
+        });
+    }
+
+    _getExpressionIdentifiers(expression) {
+        const cached = this._expressionIdentifierCache.get(expression);
+        if (cached) return cached;
+
+        const source = expression.replace(/'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*"/g, "''");
+        const identifiers = new Set();
+        const identifierRegex = /[a-zA-Z_$][\w$]*/g;
+        let match;
+
+        while ((match = identifierRegex.exec(source)) !== null) {
+            let i = match.index - 1;
+            while (i >= 0 && /\s/.test(source[i])) i--;
+            const isPropertyAccess = source[i] === '.' && source.slice(i - 2, i + 1) !== '...';
+            const isNumberSuffix = i === match.index - 1 && /[0-9]/.test(source[i] || '');
+            if (!isPropertyAccess && !isNumberSuffix) identifiers.add(match[0]);
+        }
+
+        this._expressionIdentifierCache.set(expression, identifiers);
+        if (this._expressionIdentifierCache.size > this.options.maxExpressionCacheSize) {
+            this._expressionIdentifierCache.delete(this._expressionIdentifierCache.keys().next().value);
+        }
+        return identifiers;
+    }
+
+    _getCompiledExpression(expression, keyNames, asStatement = false, templateName = 'Root') {
+        const sandboxName = this.options.sandbox ? templateName : '';
+        const cacheKey = `${this.options.expressionMode}\u0000${sandboxName}\u0000${asStatement ? 's' : 'e'}\u0000${keyNames.join(',')}\u0000${expression}`;
+        const cached = this._expressionCache.get(cacheKey);
+        if (cached) {
+            this._performanceMetrics.expressionCacheHits++;
+            this._expressionCache.delete(cacheKey);
+            this._expressionCache.set(cacheKey, cached);
+            return cached;
+        }
+
+        this._performanceMetrics.expressionCacheMisses++;
+        const resolveGlobal = this.options.sandbox
+            ? (name) => this._resolveSandboxGlobal(name, templateName, expression)
+            : (name) => this._getInterpreterGlobal(name);
+        let fn;
+        if (this.options.expressionMode === 'interpreter' || this.options.sandbox) {
+            fn = this._compileInterpretedExpression(expression, keyNames, asStatement, resolveGlobal);
+        } else {
+            fn = asStatement
+                ? new Function('$$spxScope', `with ($$spxScope) {\n(() => {\n${expression};\n})();\n}`)
+                : new Function(...keyNames, `return (${expression});`);
+        }
+        this._expressionCache.set(cacheKey, fn);
+        if (this._expressionCache.size > this.options.maxExpressionCacheSize) {
+            this._expressionCache.delete(this._expressionCache.keys().next().value);
+        }
+        return fn;
+    }
+
+    _resolveSandboxGlobal(name, templateName, expression) {
+        if (Object.prototype.hasOwnProperty.call(this._sandboxGlobals, name)) {
+            const value = this._sandboxGlobals[name];
+            return this._frozenSandboxGlobals.get(value) || value;
+        }
+        this._warnSandboxAccess(name, templateName, expression);
+        return undefined;
+    }
+
+    _createFrozenGlobal(value) {
+        const blockedStatics = new Set([
+            'prototype', 'length', 'name', 'caller', 'arguments',
+            'getPrototypeOf', 'setPrototypeOf', 'defineProperty', 'defineProperties',
+            'getOwnPropertyDescriptor', 'getOwnPropertyDescriptors', 'getOwnPropertyNames', 'getOwnPropertySymbols'
+        ]);
+        const copyStatics = (source, target) => {
+            Object.getOwnPropertyNames(source).forEach(name => {
+                if (blockedStatics.has(name)) return;
+                const member = source[name];
+                target[name] = typeof member === 'function' && /^[A-Z]/.test(name)
+                    ? this._createFrozenGlobal(member)
+                    : member;
+            });
+            return Object.freeze(target);
+        };
+
+        if (typeof value === 'function') {
+            const wrapper = function (...args) {
+                return new.target ? Reflect.construct(value, args) : value(...args);
+            };
+            Object.defineProperty(wrapper, 'prototype', { value: value.prototype });
+            return copyStatics(value, wrapper);
+        }
+        return copyStatics(value, Object.create(null));
+    }
+
+    _warnSandboxAccess(name, templateName, expression) {
+        const warningKey = `${templateName}\u0000${expression}\u0000${name}`;
+        if (this._sandboxWarnings.has(warningKey)) return;
+        this._sandboxWarnings.add(warningKey);
+        console.warn(`Spandrix: "${name}" is not available in sandboxed expression "${expression}" in ${templateName}. Use exposeGlobal() to allow it.`);
+    }
+
+    _isSandboxSafeExpression(expression, templateName) {
+        if (!this.options.sandbox) return true;
+        const blocked = (expression.match(/[a-zA-Z_$][\w$]*/g) || [])
+            .find(word => this._blockedInterpreterProperties.has(word));
+        if (!blocked) return true;
+        const warningKey = `${templateName}\u0000${expression}\u0000${blocked}`;
+        if (!this._sandboxWarnings.has(warningKey)) {
+            this._sandboxWarnings.add(warningKey);
+            console.warn(`Spandrix: Blocked access to "${blocked}" in sandboxed expression "${expression}" in ${templateName}.`);
+        }
+        return false;
+    }
+
+    _compileInterpretedExpression(expression, keyNames, asStatement, resolveGlobal) {
+        const ast = this._parseExpressionAst(expression, asStatement);
+        if (asStatement) {
+            return (statementScope) => {
+                this._evaluateAst(ast, { vars: statementScope, parent: null, resolveGlobal });
+            };
+        }
+        return (...values) => {
+            const vars = Object.create(null);
+            keyNames.forEach((key, i) => { vars[key] = values[i]; });
+            return this._evaluateAst(ast, { vars, parent: null, resolveGlobal });
+        };
+    }
+
+    _tokenizeExpression(source) {
+        const tokens = [];
+        const punctuators = [
+            '>>>=', '...', '===', '!==', '**=', '<<=', '>>=', '>>>', '&&=', '||=', '??=',
+            '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '++', '--', '+=', '-=', '*=', '/=', '%=',
+            '&=', '|=', '^=', '**', '<<', '>>',
+            '+', '-', '*', '/', '%', '<', '>', '=', '!', '~', '?', ':', '.', ',', ';', '(', ')', '[', ']', '{', '}',
+            '&', '|', '^'
+        ];
+        const escapes = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', v: '\v', 0: '\0' };
+        const readEscape = (i) => {
+            const char = source[i];
+            if (char === 'u' && source[i + 1] === '{') {
+                const end = source.indexOf('}', i);
+                return { value: String.fromCodePoint(parseInt(source.slice(i + 2, end), 16)), next: end + 1 };
+            }
+            if (char === 'u') return { value: String.fromCharCode(parseInt(source.slice(i + 1, i + 5), 16)), next: i + 5 };
+            if (char === 'x') return { value: String.fromCharCode(parseInt(source.slice(i + 1, i + 3), 16)), next: i + 3 };
+            return { value: char in escapes ? escapes[char] : char, next: i + 1 };
+        };
+
+        let i = 0;
+        while (i < source.length) {
+            const char = source[i];
+            if (/\s/.test(char)) {
+                i++;
+            } else if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(source[i + 1] || ''))) {
+                const match = source.slice(i).match(/^(?:0[xX][0-9a-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|(?:\d[\d_]*\.?[\d_]*|\.\d[\d_]*)(?:[eE][+-]?\d+)?)/);
+                tokens.push({ type: 'num', value: Number(match[0].replace(/_/g, '')), pos: i });
+                i += match[0].length;
+            } else if (/[a-zA-Z_$]/.test(char)) {
+                const match = source.slice(i).match(/^[a-zA-Z_$][\w$]*/);
+                tokens.push({ type: 'name', value: match[0], pos: i });
+                i += match[0].length;
+            } else if (char === '"' || char === "'") {
+                let value = '';
+                let j = i + 1;
+                while (j < source.length && source[j] !== char) {
+                    if (source[j] === '\\') {
+                        const escaped = readEscape(j + 1);
+                        value += escaped.value;
+                        j = escaped.next;
+                    } else {
+                        value += source[j++];
+                    }
+                }
+                if (j >= source.length) throw new SyntaxError(`Unterminated string at ${i}`);
+                tokens.push({ type: 'str', value, pos: i });
+                i = j + 1;
+            } else if (char === '`') {
+                const quasis = [];
+                const expressions = [];
+                let value = '';
+                let j = i + 1;
+                while (j < source.length && source[j] !== '`') {
+                    if (source[j] === '\\') {
+                        const escaped = readEscape(j + 1);
+                        value += escaped.value;
+                        j = escaped.next;
+                    } else if (source[j] === '$' && source[j + 1] === '{') {
+                        let depth = 1;
+                        let k = j + 2;
+                        let quote = null;
+                        for (; k < source.length && depth > 0; k++) {
+                            if (quote) {
+                                if (source[k] === '\\') k++;
+                                else if (source[k] === quote) quote = null;
+                            } else if (source[k] === '"' || source[k] === "'" || source[k] === '`') {
+                                quote = source[k];
+                            } else if (source[k] === '{') {
+                                depth++;
+                            } else if (source[k] === '}') {
+                                depth--;
+                            }
+                        }
+                        quasis.push(value);
+                        expressions.push(source.slice(j + 2, k - 1));
+                        value = '';
+                        j = k;
+                    } else {
+                        value += source[j++];
+                    }
+                }
+                if (j >= source.length) throw new SyntaxError(`Unterminated template literal at ${i}`);
+                quasis.push(value);
+                tokens.push({ type: 'template', quasis, expressions, pos: i });
+                i = j + 1;
+            } else {
+                let punctuator = punctuators.find(p => source.startsWith(p, i));
+                if (!punctuator) throw new SyntaxError(`Unexpected character "${char}" at ${i}`);
+                if (punctuator === '?.' && /[0-9]/.test(source[i + 2] || '')) punctuator = '?';
+                tokens.push({ type: 'punc', value: punctuator, pos: i });
+                i += punctuator.length;
+            }
+        }
+        tokens.push({ type: 'eof', value: null, pos: source.length });
+        return tokens;
+    }
+
+    _parseExpressionAst(source, allowStatements = false) {
+        const tokens = this._tokenizeExpression(source);
+        let pos = 0;
+
+        const peek = (offset = 0) => tokens[pos + offset];
+        const isPunc = (value, token = peek()) => token.type === 'punc' && token.value === value;
+        const isName = (value, token = peek()) => token.type === 'name' && token.value === value;
+        const fail = (token = peek()) => {
+            throw new SyntaxError(`Unexpected ${token.type === 'eof' ? 'end of expression' : `"${token.value}"`} at ${token.pos} in "${source}"`);
+        };
+        const expect = (value) => {
+            if (!isPunc(value)) fail();
+            return tokens[pos++];
+        };
+
+        const assignmentOps = ['=', '+=', '-=', '*=', '/=', '%=', '**=', '<<=', '>>=', '>>>=', '&=', '|=', '^=', '&&=', '||=', '??='];
+        const binaryPrecedence = {
+            '??': 1, '||': 2, '&&': 3, '|': 4, '^': 5, '&': 6,
+            '==': 7, '!=': 7, '===': 7, '!==': 7,
+            '<': 8, '>': 8, '<=': 8, '>=': 8, 'in': 8, 'instanceof': 8,
+            '<<': 9, '>>': 9, '>>>': 9,
+            '+': 10, '-': 10, '*': 11, '/': 11, '%': 11, '**': 12
+        };
+
+        const parseArrowParams = () => {
+            if (peek().type === 'name' && isPunc('=>', peek(1))) return [tokens[pos++].value];
+            if (!isPunc('(')) return null;
+
+            let depth = 0;
+            let end = pos;
+            for (; end < tokens.length; end++) {
+                if (isPunc('(', tokens[end])) depth++;
+                else if (isPunc(')', tokens[end]) && --depth === 0) break;
+            }
+            if (!isPunc('=>', tokens[end + 1])) return null;
+
+            const params = [];
+            pos++;
+            while (!isPunc(')')) {
+                if (peek().type !== 'name') fail();
+                params.push(tokens[pos++].value);
+                if (!isPunc(')')) expect(',');
+            }
+            pos++;
+            return params;
+        };
+
+        const parseAssignment = () => {
+            const arrowParams = parseArrowParams();
+            if (arrowParams) {
+                expect('=>');
+                if (isPunc('{')) throw new SyntaxError(`Arrow functions with block bodies are not supported in "${source}"`);
+                return { type: 'Arrow', params: arrowParams, body: parseAssignment() };
+            }
+
+            const left = parseConditional();
+            if (peek().type === 'punc' && assignmentOps.includes(peek().value)) {
+                if (left.type !== 'Identifier' && left.type !== 'Member') fail();
+                const operator = tokens[pos++].value;
+                return { type: 'Assign', operator, target: left, value: parseAssignment() };
+            }
+            return left;
+        };
+
+        const parseSequence = () => {
+            const expressions = [parseAssignment()];
+            while (isPunc(',')) {
+                pos++;
+                expressions.push(parseAssignment());
+            }
+            return expressions.length === 1 ? expressions[0] : { type: 'Sequence', expressions };
+        };
+
+        const parseConditional = () => {
+            const test = parseBinary(1);
+            if (!isPunc('?')) return test;
+            pos++;
+            const consequent = parseAssignment();
+            expect(':');
+            return { type: 'Conditional', test, consequent, alternate: parseAssignment() };
+        };
+
+        const parseBinary = (minPrecedence) => {
+            let left = parseUnary();
+            for (;;) {
+                const token = peek();
+                const operator = (token.type === 'punc' || isName('in', token) || isName('instanceof', token))
+                    ? token.value
+                    : null;
+                const precedence = binaryPrecedence[operator];
+                if (precedence === undefined || precedence < minPrecedence) return left;
+                pos++;
+                const right = parseBinary(operator === '**' ? precedence : precedence + 1);
+                left = {
+                    type: ['&&', '||', '??'].includes(operator) ? 'Logical' : 'Binary',
+                    operator,
+                    left,
+                    right
+                };
+            }
+        };
+
+        const parseUnary = () => {
+            const token = peek();
+            if ((token.type === 'punc' && ['!', '-', '+', '~'].includes(token.value)) ||
+                isName('typeof', token) || isName('void', token)) {
+                pos++;
+                return { type: 'Unary', operator: token.value, argument: parseUnary() };
+            }
+            if (isPunc('++', token) || isPunc('--', token)) {
+                pos++;
+                const argument = parseUnary();
+                if (argument.type !== 'Identifier' && argument.type !== 'Member') fail(token);
+                return { type: 'Update', operator: token.value, prefix: true, argument };
+            }
+
+            const expression = parseCallMember();
+            if (isPunc('++') || isPunc('--')) {
+                if (expression.type !== 'Identifier' && expression.type !== 'Member') fail();
+                return { type: 'Update', operator: tokens[pos++].value, prefix: false, argument: expression };
+            }
+            return expression;
+        };
+
+        const parseArguments = () => {
+            const args = [];
+            expect('(');
+            while (!isPunc(')')) {
+                if (isPunc('...')) {
+                    pos++;
+                    args.push({ type: 'Spread', argument: parseAssignment() });
+                } else {
+                    args.push(parseAssignment());
+                }
+                if (!isPunc(')')) expect(',');
+            }
+            pos++;
+            return args;
+        };
+
+        const parseCallMember = (allowCalls = true) => {
+            let expression;
+            if (isName('new')) {
+                pos++;
+                const callee = parseCallMember(false);
+                expression = { type: 'New', callee, arguments: isPunc('(') ? parseArguments() : [] };
+            } else {
+                expression = parsePrimary();
+            }
+
+            for (;;) {
+                if (isPunc('.')) {
+                    pos++;
+                    if (peek().type !== 'name') fail();
+                    expression = { type: 'Member', object: expression, property: { type: 'Literal', value: tokens[pos++].value }, optional: false };
+                } else if (isPunc('?.')) {
+                    pos++;
+                    if (isPunc('(')) {
+                        expression = { type: 'Call', callee: expression, arguments: parseArguments(), optional: true };
+                    } else if (isPunc('[')) {
+                        pos++;
+                        const property = parseSequence();
+                        expect(']');
+                        expression = { type: 'Member', object: expression, property, optional: true };
+                    } else {
+                        if (peek().type !== 'name') fail();
+                        expression = { type: 'Member', object: expression, property: { type: 'Literal', value: tokens[pos++].value }, optional: true };
+                    }
+                } else if (isPunc('[')) {
+                    pos++;
+                    const property = parseSequence();
+                    expect(']');
+                    expression = { type: 'Member', object: expression, property, optional: false };
+                } else if (allowCalls && isPunc('(')) {
+                    expression = { type: 'Call', callee: expression, arguments: parseArguments(), optional: false };
+                } else {
+                    return expression;
+                }
+            }
+        };
+
+        const parsePrimary = () => {
+            const token = tokens[pos++];
+            if (token.type === 'num' || token.type === 'str') return { type: 'Literal', value: token.value };
+            if (token.type === 'template') {
+                return {
+                    type: 'Template',
+                    quasis: token.quasis,
+                    expressions: token.expressions.map(expr => this._parseExpressionAst(expr))
+                };
+            }
+            if (token.type === 'name') {
+                const literals = { true: true, false: false, null: null, undefined: undefined };
+                if (token.value in literals) return { type: 'Literal', value: literals[token.value] };
+                return { type: 'Identifier', name: token.value };
+            }
+            if (isPunc('(', token)) {
+                const expression = parseSequence();
+                expect(')');
+                return expression;
+            }
+            if (isPunc('[', token)) {
+                const elements = [];
+                while (!isPunc(']')) {
+                    if (isPunc(',')) {
+                        pos++;
+                        elements.push({ type: 'Literal', value: undefined });
+                        continue;
+                    }
+                    if (isPunc('...')) {
+                        pos++;
+                        elements.push({ type: 'Spread', argument: parseAssignment() });
+                    } else {
+                        elements.push(parseAssignment());
+                    }
+                    if (!isPunc(']')) expect(',');
+                }
+                pos++;
+                return { type: 'Array', elements };
+            }
+            if (isPunc('{', token)) {
+                const properties = [];
+                while (!isPunc('}')) {
+                    if (isPunc('...')) {
+                        pos++;
+                        properties.push({ type: 'Spread', argument: parseAssignment() });
+                    } else {
+                        let key;
+                        const keyToken = tokens[pos++];
+                        if (isPunc('[', keyToken)) {
+                            key = parseAssignment();
+                            expect(']');
+                        } else if (['name', 'str', 'num'].includes(keyToken.type)) {
+                            key = { type: 'Literal', value: String(keyToken.value) };
+                        } else {
+                            fail(keyToken);
+                        }
+
+                        if (isPunc(':')) {
+                            pos++;
+                            properties.push({ key, value: parseAssignment() });
+                        } else if (keyToken.type === 'name') {
+                            properties.push({ key, value: { type: 'Identifier', name: keyToken.value } });
+                        } else {
+                            fail();
+                        }
+                    }
+                    if (!isPunc('}')) expect(',');
+                }
+                pos++;
+                return { type: 'Object', properties };
+            }
+            return fail(token);
+        };
+
+        const statements = [];
+        for (;;) {
+            while (allowStatements && isPunc(';')) pos++;
+            if (peek().type === 'eof') break;
+            statements.push(parseSequence());
+            if (peek().type === 'eof') break;
+            if (!allowStatements) fail();
+            expect(';');
+        }
+        if (!statements.length && !allowStatements) fail();
+        return statements.length === 1 ? statements[0] : { type: 'Program', body: statements };
+    }
+
+    _evaluateAst(node, scope) {
+        const result = this._evaluateAstNode(node, scope);
+        return result === this._optionalChainShortCircuit ? undefined : result;
+    }
+
+    _evaluateAstNode(node, scope) {
+        const shortCircuit = this._optionalChainShortCircuit;
+        const evaluate = (child) => this._evaluateAst(child, scope);
+        const evaluateList = (list) => {
+            const values = [];
+            list.forEach(item => {
+                if (item.type === 'Spread') values.push(...evaluate(item.argument));
+                else values.push(evaluate(item));
+            });
+            return values;
+        };
+        const propertyKey = (memberNode) => {
+            const key = evaluate(memberNode.property);
+            if (this._blockedInterpreterProperties.has(String(key))) {
+                throw new Error(`Spandrix: Access to "${String(key)}" is not allowed in expressions.`);
+            }
+            return key;
+        };
+        const findScope = (name) => {
+            for (let current = scope; current; current = current.parent) {
+                if (Object.prototype.hasOwnProperty.call(current.vars, name)) return current;
+            }
+            return null;
+        };
+        const reference = (target) => {
+            if (target.type === 'Identifier') {
+                let owner = findScope(target.name);
+                if (!owner) {
+                    owner = scope;
+                    while (owner.parent) owner = owner.parent;
+                }
+                return { get: () => owner.vars[target.name], set: (value) => { owner.vars[target.name] = value; } };
+            }
+            const object = evaluate(target.object);
+            if (object === null || object === undefined) {
+                throw new TypeError(`Cannot set properties of ${object}`);
+            }
+            const key = propertyKey(target);
+            return { get: () => object[key], set: (value) => { object[key] = value; } };
+        };
+        const guardValue = (value) => {
+            if (typeof value === 'function' &&
+                (this._isBlockedInterpreterFunction(value) || this._isFunctionPrototypeMethod(value))) {
+                throw new Error('Spandrix: This value is not allowed in expressions.');
+            }
+            return value;
+        };
+        const assertCallable = (fn, description, thisArg, args = []) => {
+            if (typeof fn !== 'function') throw new TypeError(`${description} is not a function`);
+            let target = fn;
+            let targetThis = thisArg;
+            let targetArgs = args;
+            while (typeof target === 'function' && this._isFunctionPrototypeMethod(target)) {
+                const isApply = target === Object.getPrototypeOf(target).apply;
+                target = targetThis;
+                targetThis = targetArgs[0];
+                targetArgs = isApply ? Array.from(targetArgs[1] || []) : Array.prototype.slice.call(targetArgs, 1);
+            }
+            if (typeof target === 'function' && this._isBlockedInterpreterFunction(target)) {
+                throw new Error('Spandrix: Calling this function is not allowed in expressions.');
+            }
+            if (typeof target === 'function' && /^getOwnPropertyDescriptors?$/.test(target.name) &&
+                typeof targetArgs[0] === 'function') {
+                throw new Error('Spandrix: Reading property descriptors of functions is not allowed in expressions.');
+            }
+            return fn;
+        };
+
+        switch (node.type) {
+            case 'Literal':
+                return node.value;
+            case 'Identifier': {
+                const owner = findScope(node.name);
+                if (owner) return guardValue(owner.vars[node.name]);
+                return guardValue(scope.resolveGlobal(node.name));
+            }
+            case 'Template':
+                return node.quasis.reduce((text, quasi, i) =>
+                    text + quasi + (i < node.expressions.length ? String(evaluate(node.expressions[i])) : ''), '');
+            case 'Array':
+                return evaluateList(node.elements);
+            case 'Object': {
+                const result = {};
+                node.properties.forEach(property => {
+                    if (property.type === 'Spread') {
+                        Object.assign(result, evaluate(property.argument));
+                        return;
+                    }
+                    const key = evaluate(property.key);
+                    if (this._blockedInterpreterProperties.has(String(key))) {
+                        throw new Error(`Spandrix: Access to "${String(key)}" is not allowed in expressions.`);
+                    }
+                    result[key] = evaluate(property.value);
+                });
+                return result;
+            }
+            case 'Member': {
+                const object = this._evaluateAstNode(node.object, scope);
+                if (object === shortCircuit) return shortCircuit;
+                if (node.optional && (object === null || object === undefined)) return shortCircuit;
+                const key = propertyKey(node);
+                if (object === null || object === undefined) {
+                    throw new TypeError(`Cannot read properties of ${object} (reading '${String(key)}')`);
+                }
+                return guardValue(object[key]);
+            }
+            case 'Call': {
+                let thisArg;
+                let fn;
+                if (node.callee.type === 'Member') {
+                    thisArg = this._evaluateAstNode(node.callee.object, scope);
+                    if (thisArg === shortCircuit) return shortCircuit;
+                    if (node.callee.optional && (thisArg === null || thisArg === undefined)) return shortCircuit;
+                    const key = propertyKey(node.callee);
+                    if (thisArg === null || thisArg === undefined) {
+                        throw new TypeError(`Cannot read properties of ${thisArg} (reading '${String(key)}')`);
+                    }
+                    fn = thisArg[key];
+                } else {
+                    fn = this._evaluateAstNode(node.callee, scope);
+                    if (fn === shortCircuit) return shortCircuit;
+                }
+                if (node.optional && (fn === null || fn === undefined)) return shortCircuit;
+                const args = evaluateList(node.arguments);
+                return guardValue(assertCallable(fn, 'Expression', thisArg, args).apply(thisArg, args));
+            }
+            case 'New': {
+                const constructorFn = assertCallable(evaluate(node.callee), 'Expression');
+                return Reflect.construct(constructorFn, evaluateList(node.arguments));
+            }
+            case 'Unary': {
+                if (node.operator === 'typeof') return typeof evaluate(node.argument);
+                const value = evaluate(node.argument);
+                switch (node.operator) {
+                    case '!': return !value;
+                    case '-': return -value;
+                    case '+': return +value;
+                    case '~': return ~value;
+                    case 'void': return undefined;
+                }
+                break;
+            }
+            case 'Update': {
+                const ref = reference(node.argument);
+                const oldValue = Number(ref.get());
+                const newValue = node.operator === '++' ? oldValue + 1 : oldValue - 1;
+                ref.set(newValue);
+                return node.prefix ? newValue : oldValue;
+            }
+            case 'Logical': {
+                const left = evaluate(node.left);
+                if (node.operator === '&&') return left && evaluate(node.right);
+                if (node.operator === '||') return left || evaluate(node.right);
+                return left ?? evaluate(node.right);
+            }
+            case 'Binary':
+                return this._applyBinaryOperator(node.operator, evaluate(node.left), evaluate(node.right));
+            case 'Conditional':
+                return evaluate(node.test) ? evaluate(node.consequent) : evaluate(node.alternate);
+            case 'Assign': {
+                const ref = reference(node.target);
+                if (node.operator === '=') {
+                    const value = evaluate(node.value);
+                    ref.set(value);
+                    return value;
+                }
+                const current = ref.get();
+                if (node.operator === '&&=') return current ? (ref.set(evaluate(node.value)), ref.get()) : current;
+                if (node.operator === '||=') return current ? current : (ref.set(evaluate(node.value)), ref.get());
+                if (node.operator === '??=') {
+                    return (current === null || current === undefined) ? (ref.set(evaluate(node.value)), ref.get()) : current;
+                }
+                const value = this._applyBinaryOperator(node.operator.slice(0, -1), current, evaluate(node.value));
+                ref.set(value);
+                return value;
+            }
+            case 'Sequence': {
+                let value;
+                node.expressions.forEach(expression => { value = evaluate(expression); });
+                return value;
+            }
+            case 'Program': {
+                let value;
+                node.body.forEach(statement => { value = evaluate(statement); });
+                return value;
+            }
+            case 'Arrow':
+                return (...args) => {
+                    const vars = Object.create(null);
+                    node.params.forEach((param, i) => { vars[param] = args[i]; });
+                    return this._evaluateAst(node.body, { vars, parent: scope, resolveGlobal: scope.resolveGlobal });
+                };
+        }
+        throw new SyntaxError(`Spandrix: Unsupported expression node "${node.type}".`);
+    }
+
+    _applyBinaryOperator(operator, left, right) {
+        switch (operator) {
+            case '+': return left + right;
+            case '-': return left - right;
+            case '*': return left * right;
+            case '/': return left / right;
+            case '%': return left % right;
+            case '**': return left ** right;
+            case '==': return left == right;
+            case '!=': return left != right;
+            case '===': return left === right;
+            case '!==': return left !== right;
+            case '<': return left < right;
+            case '>': return left > right;
+            case '<=': return left <= right;
+            case '>=': return left >= right;
+            case '&': return left & right;
+            case '|': return left | right;
+            case '^': return left ^ right;
+            case '<<': return left << right;
+            case '>>': return left >> right;
+            case '>>>': return left >>> right;
+            case 'in': return left in right;
+            case 'instanceof': return left instanceof right;
+        }
+        throw new SyntaxError(`Spandrix: Unsupported operator "${operator}".`);
+    }
+
+    _getInterpreterGlobal(name) {
+        if (Object.prototype.hasOwnProperty.call(this._sandboxGlobals, name)) {
+            const value = this._sandboxGlobals[name];
+            return this._frozenSandboxGlobals.get(value) || value;
+        }
+        this._logDebug(`Interpreter: "${name}" is not defined.`);
+        return undefined;
+    }
+
+    _isFunctionPrototypeMethod(fn) {
+        const functionPrototype = Object.getPrototypeOf(fn);
+        return !!functionPrototype && (fn === functionPrototype.call ||
+            fn === functionPrototype.apply || fn === functionPrototype.bind);
+    }
+
+    _isBlockedInterpreterFunction(fn) {
+        if (fn === globalThis.eval || fn === globalThis.setTimeout || fn === globalThis.setInterval) return true;
+        const prototype = fn.prototype;
+        return typeof prototype === 'function' ||
+            (prototype !== null && typeof prototype === 'object' && typeof Object.getPrototypeOf(prototype) === 'function');
+    }
+
+    _interpolateString(templateStr, dataContext, componentInstance = null, loopScope = {}) {
+        if (typeof templateStr !== 'string') return String(templateStr ?? '');
+
+        return this._interpolateParts(templateStr, dataContext, componentInstance, loopScope)
+            .map(part => (part.type === 'text' ? this._sanitizeHTML(part.value) : part.value))
+            .join('');
+    }
+
+    _interpolateParts(templateStr, dataContext, componentInstance = null, loopScope = {}) {
+        const parts = [];
+        const pattern = /{{{([\s\S]*?)}}}|{{([\s\S]*?)}}/g;
+        let lastIndex = 0;
+        let match;
+
+        while ((match = pattern.exec(templateStr)) !== null) {
+            if (match.index > lastIndex) {
+                parts.push({ type: 'literal', value: templateStr.slice(lastIndex, match.index) });
+            }
+            lastIndex = pattern.lastIndex;
+
+            const isRaw = match[1] !== undefined;
+            const expression = (isRaw ? match[1] : match[2]).trim();
+            const value = this._buildScopedEvaluator(expression, dataContext, componentInstance, loopScope, true)();
+            if (value === this._pendingAsyncValue) {
+                parts.push({ type: 'text', value: String(this.options.asyncPlaceholder) });
+                continue;
+            }
+
+            if (isRaw) {
+                if (!this.options.allowRawHTML) {
+                    console.warn(`Spandrix: Raw HTML disabled for {{{ ${expression} }}}`);
+                    parts.push({ type: 'text', value: this.options.missingValuePlaceholder });
+                    continue;
+                }
+                const sanitize = this.options.sanitizeRawHTML || this._getTrustedTypesPolicy();
+                parts.push({
+                    type: 'html',
+                    value: sanitize ? this.sanitizeHTML(value) : String(value ?? '')
+                });
+                continue;
+            }
+
+            parts.push({
+                type: 'text',
+                value: (value === undefined || value === null)
+                    ? this.options.missingValuePlaceholder
+                    : (typeof value === 'object' ? JSON.stringify(value) : String(value))
+            });
+        }
+        if (lastIndex < templateStr.length) {
+            parts.push({ type: 'literal', value: templateStr.slice(lastIndex) });
+        }
+        return parts;
+    }
+
+    _evaluateCondition(expression, dataContext, componentInstance, additionalScope = {}) {
+        const result = this._buildScopedEvaluator(
+            expression,
+            dataContext,
+            componentInstance,
+            additionalScope
+        )();
+        return !!result;
+    }
+
+    _createEventHandler(element, handlerExpression, dataContext, componentInstance, loopScope = {}) {
+        const match = handlerExpression.trim().match(/^([\w$.]+)(?:\(([^();]*)\))?$/);
+        if (!match) {
+            const eventScope = { ...loopScope, '$event': undefined };
+            const runStatement = this._buildScopedStatement(
+                handlerExpression,
+                dataContext,
+                componentInstance,
+                eventScope
+            );
+            return (event) => {
+                eventScope.$event = event;
+                try {
+                    runStatement();
+                } catch (e) {
+                    console.error(`Spandrix: Error executing "${handlerExpression}":`, e);
+                }
+            };
+        }
+
+        const handlerNameOrPath = match[1];
+        const argsString = match[2] || "";
+
+        const getHandlerFn = this._buildScopedEvaluator(
+            handlerNameOrPath,
+            dataContext,
+            componentInstance,
+            loopScope
+        );
+
+        return (event) => {
+            const handlerFnInstance = getHandlerFn();
+            
+            if (typeof handlerFnInstance !== 'function') {
+                console.warn(`Spandrix: Handler "${handlerNameOrPath}" not found.`);
+                return;
+            }
+
+            const argEvalContext = { ...loopScope, '$event': event };
+            const resolvedArgs = argsString.split(',')
+                .map(arg => arg.trim())
+                .filter(arg => arg)
+                .map(argStr => {
+                    if (argStr === '$event') return event;
+                    return this._buildScopedEvaluator(
+                        argStr,
+                        dataContext,
+                        componentInstance,
+                        argEvalContext
+                    )();
+                });
+
+            try {
+                let methodOwnerContext = componentInstance 
+                    ? componentInstance._templateContext 
+                    : dataContext;
+                
+                if (handlerNameOrPath.includes('.')) {
+                    const pathParts = handlerNameOrPath.split('.');
+                    pathParts.pop();
                     if (pathParts.length > 0) {
                         methodOwnerContext = this._buildScopedEvaluator(
                             pathParts.join('.'),
@@ -675,18 +2002,83 @@ class SpandrixEngine {
         };
     }
 
+    _applyEventModifiers(handlerFn, listenerKey, modifiers) {
+        if (!modifiers.length) return { handler: handlerFn, options: undefined };
+
+        const keyAliases = {
+            enter: ['enter'],
+            tab: ['tab'],
+            esc: ['escape', 'esc'],
+            escape: ['escape', 'esc'],
+            space: [' ', 'spacebar'],
+            up: ['arrowup', 'up'],
+            down: ['arrowdown', 'down'],
+            left: ['arrowleft', 'left'],
+            right: ['arrowright', 'right'],
+            delete: ['delete', 'backspace', 'del']
+        };
+        const mouseButtons = { left: 0, middle: 1, right: 2 };
+        const systemKeys = ['ctrl', 'alt', 'shift', 'meta'];
+        const behaviourModifiers = ['prevent', 'stop', 'self', 'once', 'capture', 'passive', 'exact'];
+
+        const has = (mod) => modifiers.includes(mod);
+        const requiredSystemKeys = modifiers.filter(mod => systemKeys.includes(mod));
+        const keyFilters = modifiers.filter(mod =>
+            !behaviourModifiers.includes(mod) && !systemKeys.includes(mod)
+        );
+
+        if (has('passive') && has('prevent')) {
+            console.warn(`Spandrix: "data-on:${listenerKey}" combines .passive and .prevent; preventDefault() will be ignored.`);
+        }
+
+        const options = has('capture') || has('passive')
+            ? { capture: has('capture'), passive: has('passive') }
+            : undefined;
+
+        const handler = (event) => {
+            if (has('self') && event.target !== event.currentTarget) return;
+            if (requiredSystemKeys.some(mod => !event[`${mod}Key`])) return;
+            if (has('exact') && systemKeys.some(mod => event[`${mod}Key`] && !requiredSystemKeys.includes(mod))) return;
+
+            if (keyFilters.length) {
+                const isMouseEvent = typeof event.button === 'number' && event.key === undefined;
+                const pressedKey = String(event.key || '').toLowerCase();
+                const matches = keyFilters.some(mod => {
+                    if (isMouseEvent && mod in mouseButtons) return event.button === mouseButtons[mod];
+                    return (keyAliases[mod] || [mod.replace(/-/g, '')]).includes(pressedKey);
+                });
+                if (!matches) return;
+            }
+
+            if (has('once')) {
+                const element = event.currentTarget;
+                element.removeEventListener(event.type, handler, options);
+                this._eventListeners = this._eventListeners.filter(listener => listener.handler !== handler);
+                element._spxFiredOnce = element._spxFiredOnce || new Set();
+                if (element._spxFiredOnce.has(listenerKey)) return;
+                element._spxFiredOnce.add(listenerKey);
+            }
+            if (has('prevent')) event.preventDefault();
+            if (has('stop')) event.stopPropagation();
+
+            return handlerFn(event);
+        };
+
+        return { handler, options };
+    }
+
     _cleanupEventListenersBoundWithin(hostElementOrComponentId) {
         if (!this._eventListeners) return;
         
         const isId = typeof hostElementOrComponentId === 'string';
-        this._eventListeners = this._eventListeners.filter(({ element, type, handler, componentId }) => {
+        this._eventListeners = this._eventListeners.filter(({ element, type, handler, options, componentId }) => {
             const match = isId
                 ? (componentId === hostElementOrComponentId)
                 : (hostElementOrComponentId === element || 
                    hostElementOrComponentId.contains(element));
 
             if (match) {
-                element.removeEventListener(type, handler);
+                element.removeEventListener(type, handler, options);
                 this._logDebug('Cleaned event listener on', element, type);
                 return false;
             }
@@ -696,9 +2088,9 @@ class SpandrixEngine {
 
     _cleanupAllEventListeners() {
         this._logDebug('Cleaning up ALL event listeners.');
-        this._eventListeners.forEach(({ element, type, handler }) => {
+        this._eventListeners.forEach(({ element, type, handler, options }) => {
             if (element && typeof element.removeEventListener === 'function') {
-                element.removeEventListener(type, handler);
+                element.removeEventListener(type, handler, options);
             }
         });
         this._eventListeners = [];
@@ -706,13 +2098,13 @@ class SpandrixEngine {
 
     _callHook(hookName, context, ...args) {
         if (this._hooks[hookName]) {
-            this._hooks[hookName].forEach(hookFn => {
+            this._withoutTracking(() => this._hooks[hookName].forEach(hookFn => {
                 try {
                     hookFn.call(context || this, ...args);
                 } catch (e) {
                     console.error(`Spandrix: Error in hook '${hookName}':`, e);
                 }
-            });
+            }));
         }
     }
 
@@ -731,36 +2123,100 @@ class SpandrixEngine {
         this._directives.set('repeat', this._processRepeatDirective.bind(this));
         this._directives.set('model', this._processDataModel.bind(this));
         this._directives.set('fetch', this._processFetchDirective.bind(this));
+        this._coreDirectiveNames = new Set([
+            ...this._directives.keys(), 'on', 'bind', 'text', 'html', 'safe-html', 'key', 'spx-id', 'ref'
+        ]);
     }
 
     registerDirective(name, handler) {
-        if (typeof handler !== 'function') {
-            console.error(`Spandrix: Directive "${name}" must be a function.`);
+        if (this._coreDirectiveNames.has(name)) {
+            console.error(`Spandrix: Cannot override built-in directive "data-${name}".`);
+            return;
+        }
+        if (typeof handler === 'function') {
+            handler = { bind: handler, update: handler };
+        } else if (!handler || typeof handler !== 'object') {
+            console.error(`Spandrix: Directive "${name}" must be a function or an object with bind/update/unbind hooks.`);
             return;
         }
         this._directives.set(name, handler);
         this._logDebug(`Registered directive: data-${name}`);
     }
 
-    _extractKeysFromExpression(expression) {
-        const keys = new Set();
-        const varRegex = /(?<!\.)\b([a-zA-Z$_][\w$]*)\b(?!\s*\()/g;
-        let match;
-        
-        while ((match = varRegex.exec(expression)) !== null) {
-            const potentialKey = match[1];
-            const excludedKeys = [
-                'true', 'false', 'null', 'undefined', 'in', 'of', 'NaN', 'Infinity',
-                '$state', 'globalData', '$event', '$index', 'item', 'key', 'value',
-                ...Object.keys(this.filters || {})
-            ];
-            
-            if (!excludedKeys.includes(potentialKey) && !/^\d/.test(potentialKey)) {
-                keys.add(potentialKey);
+    _collectCustomDirective(el, attrName, attrValue, dataContext, componentInstance, loopScope) {
+        const [head, ...modifierList] = attrName.slice(5).split('.');
+        const argIndex = head.indexOf(':');
+        const name = argIndex === -1 ? head : head.slice(0, argIndex);
+        if (this._coreDirectiveNames.has(name) || !this._directives.has(name)) return null;
+
+        const modifiers = {};
+        modifierList.forEach(mod => { if (mod) modifiers[mod] = true; });
+
+        let value;
+        if (attrValue.trim()) {
+            try {
+                value = this._buildScopedEvaluator(attrValue, dataContext, componentInstance, loopScope)();
+            } catch (e) {
+                console.error(`Spandrix: Error evaluating directive "${attrName}":`, e);
             }
         }
-        
-        return Array.from(keys);
+
+        return {
+            attrName,
+            context: componentInstance ? componentInstance._templateContext : dataContext,
+            binding: {
+                name,
+                value,
+                oldValue: undefined,
+                arg: argIndex === -1 ? undefined : head.slice(argIndex + 1),
+                modifiers,
+                expression: attrValue
+            }
+        };
+    }
+
+    _applyPendingDirectives(el) {
+        const pending = el._spxPendingDirectives;
+        if (!pending) return;
+        delete el._spxPendingDirectives;
+
+        const previous = el._spxDirectives || {};
+        const next = {};
+        pending.forEach(({ attrName, binding, context }) => {
+            const old = previous[attrName];
+            binding.oldValue = old ? old.binding.value : undefined;
+            next[attrName] = { binding, context };
+            this._callDirectiveHook(el, binding, context, old ? 'update' : 'bind');
+        });
+        Object.keys(previous).forEach(attrName => {
+            if (!next[attrName]) {
+                this._callDirectiveHook(el, previous[attrName].binding, previous[attrName].context, 'unbind');
+            }
+        });
+
+        if (Object.keys(next).length) el._spxDirectives = next;
+        else delete el._spxDirectives;
+    }
+
+    _unbindDirectivesWithin(rootNode) {
+        if (!rootNode || rootNode.nodeType !== Node.ELEMENT_NODE) return;
+        [rootNode, ...rootNode.querySelectorAll('*')].forEach(el => {
+            if (!el._spxDirectives) return;
+            Object.values(el._spxDirectives).forEach(({ binding, context }) =>
+                this._callDirectiveHook(el, binding, context, 'unbind')
+            );
+            delete el._spxDirectives;
+        });
+    }
+
+    _callDirectiveHook(el, binding, context, hookName) {
+        const hook = this._directives.get(binding.name)?.[hookName];
+        if (typeof hook !== 'function') return;
+        try {
+            this._withoutTracking(() => hook.call(context, el, binding, context));
+        } catch (e) {
+            console.error(`Spandrix: Error in '${hookName}' hook of directive "data-${binding.name}":`, e);
+        }
     }
 
     _processIfDirective(el, conditionExpr, dataContext, componentInstance, loopScope = {}, parentFragment = null) {
@@ -770,83 +2226,48 @@ class SpandrixEngine {
             return el;
         }
 
-        if (!el._spxIfPlaceholderNode) {
-            el._spxIfPlaceholderNode = document.createComment(
-                `spx-if: ${conditionExpr} (id: ${this._generateComponentId()})`
-            );
-        }
-        const placeholder = el._spxIfPlaceholderNode;
-        
-        if (!el._spxIfOriginalTemplateNode) {
-            el._spxIfOriginalTemplateNode = el.cloneNode(true);
-            el._spxIfOriginalTemplateNode.removeAttribute('data-if');
-        }
+        const branches = [{ node: el, condition: conditionExpr }];
+        const chainNodes = [];
+        let gapNodes = [];
+        for (let sibling = el.nextSibling; sibling; sibling = sibling.nextSibling) {
+            const isGap = sibling.nodeType === Node.COMMENT_NODE ||
+                (sibling.nodeType === Node.TEXT_NODE && !sibling.nodeValue.trim());
+            if (isGap) {
+                gapNodes.push(sibling);
+                continue;
+            }
+            if (sibling.nodeType !== Node.ELEMENT_NODE) break;
 
-        const evaluator = this._buildScopedEvaluator(
-            conditionExpr,
-            dataContext,
-            componentInstance,
-            loopScope
-        );
-        let returnedNode = el;
-
-        const updateIfBlock = () => {
-            const shouldBeVisible = evaluator();
-            const isActualElementInParent = el.parentNode === currentParent ||
-                (parentFragment && Array.from(parentFragment.childNodes).includes(el));
-            const isPlaceholderInParent = placeholder.parentNode === currentParent ||
-                (parentFragment && Array.from(parentFragment.childNodes).includes(placeholder));
-
-            if (shouldBeVisible) {
-                if (isPlaceholderInParent) {
-                    const freshElement = el._spxIfOriginalTemplateNode.cloneNode(true);
-                    freshElement._spxIfPlaceholderNode = placeholder;
-                    freshElement._spxIfOriginalTemplateNode = el._spxIfOriginalTemplateNode;
-                    freshElement._spxIfWatchersAttached = el._spxIfWatchersAttached;
-
-                    currentParent.replaceChild(freshElement, placeholder);
-                    this._processNode(freshElement, dataContext, componentInstance, loopScope, parentFragment);
-                    returnedNode = freshElement;
-                } else if (!isActualElementInParent && currentParent) {
-                    const freshElement = el._spxIfOriginalTemplateNode.cloneNode(true);
-                    freshElement._spxIfPlaceholderNode = placeholder;
-                    freshElement._spxIfOriginalTemplateNode = el._spxIfOriginalTemplateNode;
-                    const targetAppendParent = parentFragment || currentParent;
-                    targetAppendParent.appendChild(freshElement);
-                    this._processNode(freshElement, dataContext, componentInstance, loopScope, parentFragment);
-                    returnedNode = freshElement;
-                } else if (isActualElementInParent) {
-                    Array.from(el.childNodes).forEach(child =>
-                        this._processNode(child, dataContext, componentInstance, loopScope, parentFragment || el)
-                    );
-                    returnedNode = el;
-                }
+            if (sibling.hasAttribute('data-else-if')) {
+                branches.push({ node: sibling, condition: sibling.getAttribute('data-else-if') });
+            } else if (sibling.hasAttribute('data-else')) {
+                branches.push({ node: sibling, condition: null });
             } else {
-                if (isActualElementInParent) {
-                    this._cleanupEventListenersBoundWithin(el);
-                    currentParent.replaceChild(placeholder, el);
-                    returnedNode = placeholder;
-                } else if (!isPlaceholderInParent && currentParent) {
-                    currentParent.appendChild(placeholder);
-                    returnedNode = placeholder;
-                } else {
-                    returnedNode = placeholder;
-                }
+                break;
             }
-        };
+            chainNodes.push(...gapNodes, sibling);
+            gapNodes = [];
+            if (branches[branches.length - 1].condition === null) break;
+        }
 
-        if (!el._spxIfWatchersAttached) {
-            const reactiveKeys = this._extractKeysFromExpression(conditionExpr);
-            reactiveKeys.forEach(key => {
-                if (componentInstance) {
-                    this._addWatcher(componentInstance, key, updateIfBlock);
-                }
-            });
-            el._spxIfWatchersAttached = true;
+        const activeBranch = branches.find(branch =>
+            branch.condition === null ||
+            this._evaluateCondition(branch.condition, dataContext, componentInstance, loopScope)
+        );
+
+        chainNodes.forEach(chainNode => {
+            chainNode._spxIfChainMember = true;
+            chainNode.remove();
+        });
+
+        if (activeBranch) {
+            if (activeBranch.node !== el) currentParent.replaceChild(activeBranch.node, el);
+            return activeBranch.node;
         }
 
-        updateIfBlock();
-        return returnedNode;
+        const placeholder = document.createComment(`spx-if: ${conditionExpr}`);
+        currentParent.replaceChild(placeholder, el);
+        return placeholder;
     }
 
     _processShowDirective(el, conditionExpr, dataContext, componentInstance, loopScope = {}) {
@@ -884,21 +2305,27 @@ class SpandrixEngine {
             parentLoopScope
         )();
         
-        const effectiveParent = node.parentNode || parentFragmentContext;
+        let anchorNode = node._spxRepeatAnchor;
+        const effectiveParent = (anchorNode && anchorNode.parentNode) || node.parentNode || parentFragmentContext;
         if (!effectiveParent) {
             this._logDebug(`data-repeat on <${node.tagName}> has no parent.`);
             return;
         }
 
-        let templateElement, anchorNode = node._spxRepeatAnchor;
+        const isReRender = !!anchorNode;
+        let templateElement;
 
         if (!anchorNode) {
             templateElement = node.cloneNode(true);
             templateElement.removeAttribute('data-repeat');
             templateElement.style.display = '';
-            anchorNode = document.createComment(
-                `spx-repeat: ${repeatExpr} (id: ${this._generateComponentId()})`
-            );
+            anchorNode = document.createComment(`spx-repeat: ${repeatExpr}`);
+
+            const keyAttrs = ['data-key', 'data-bind:key', ':key'];
+            const keyAttr = keyAttrs.find(attr => templateElement.hasAttribute(attr));
+            anchorNode._spxRepeatKey = keyAttr ? templateElement.getAttribute(keyAttr).trim() : null;
+            keyAttrs.forEach(attr => templateElement.removeAttribute(attr));
+
             effectiveParent.replaceChild(anchorNode, node);
             anchorNode._spxRepeatTemplate = templateElement;
             node._spxRepeatAnchor = anchorNode;
@@ -906,35 +2333,54 @@ class SpandrixEngine {
             templateElement = anchorNode._spxRepeatTemplate;
         }
 
+        const existingItems = [];
         let currentSibling = anchorNode.nextSibling;
         while (currentSibling && currentSibling._spxRepeatItemFor === anchorNode) {
-            const toRemove = currentSibling;
+            existingItems.push(currentSibling);
             currentSibling = currentSibling.nextSibling;
-            this._cleanupEventListenersBoundWithin(toRemove);
-            toRemove.remove();
-        }
-
-        if (!items || typeof items !== 'object' || Object.keys(items).length === 0) {
-            this._logDebug(`data-repeat for "${collectionExpr}" resulted in empty items.`);
-            return;
         }
 
+        const keyExpr = anchorNode._spxRepeatKey;
+        const seenKeys = new Set();
+        const renderedItems = [];
         const fragmentToInsert = document.createDocumentFragment();
 
         const processSingleItem = (itemValue, keyOrIndexValue, actualIndexValueIfObjectLoop) => {
             const clone = templateElement.cloneNode(true);
             const loopItemScope = { ...parentLoopScope };
+            loopItemScope[this._loopSourcesKey] = {
+                ...parentLoopScope[this._loopSourcesKey],
+                [itemVar]: { collection: items, key: keyOrIndexValue }
+            };
             loopItemScope[itemVar] = itemValue;
             loopItemScope[indexOrKeyVar] = keyOrIndexValue;
             if (actualIndexVar && actualIndexValueIfObjectLoop !== undefined) {
                 loopItemScope[actualIndexVar] = actualIndexValueIfObjectLoop;
             }
-            clone._spxRepeatItemFor = anchorNode;
-            this._processNode(clone, dataContext, componentInstance, loopItemScope, fragmentToInsert);
-            fragmentToInsert.appendChild(clone);
+
+            const renderedNode = this._processNode(clone, dataContext, componentInstance, loopItemScope, fragmentToInsert);
+            if (renderedNode.parentNode !== fragmentToInsert) {
+                fragmentToInsert.appendChild(renderedNode);
+            }
+            renderedNode._spxRepeatItemFor = anchorNode;
+
+            if (keyExpr) {
+                const itemKey = this._buildScopedEvaluator(keyExpr, dataContext, componentInstance, loopItemScope)();
+                if (itemKey === undefined || itemKey === null) {
+                    this._logDebug(`data-repeat key "${keyExpr}" is empty for an item of "${collectionExpr}".`);
+                } else if (seenKeys.has(itemKey)) {
+                    console.warn(`Spandrix data-repeat: Duplicate key "${itemKey}" in "${repeatExpr}".`);
+                } else {
+                    seenKeys.add(itemKey);
+                    renderedNode._spxKey = `${repeatExpr}\u0000${itemKey}`;
+                }
+            }
+            renderedItems.push(renderedNode);
         };
 
-        if (Array.isArray(items)) {
+        if (!items || typeof items !== 'object' || Object.keys(items).length === 0) {
+            this._logDebug(`data-repeat for "${collectionExpr}" resulted in empty items.`);
+        } else if (Array.isArray(items)) {
             items.forEach((item, idx) => processSingleItem(item, idx));
         } else {
             Object.keys(items).forEach((key, idx) => {
@@ -943,17 +2389,36 @@ class SpandrixEngine {
                 }
             });
         }
-        
-        effectiveParent.insertBefore(fragmentToInsert, anchorNode.nextSibling);
+
+        if (isReRender) {
+            this._runPatch(() => this._patchNodeList(effectiveParent, existingItems, renderedItems, anchorNode));
+        } else {
+            effectiveParent.insertBefore(fragmentToInsert, anchorNode.nextSibling);
+        }
     }
 
-    _processDataModel(inputElement, modelKey, dataContext, componentInstance, loopScope = {}) {
+    _processDataModel(inputElement, modelKey, dataContext, componentInstance, loopScope = {}, modifiers = []) {
         const resolvedModelPath = modelKey;
+        const rootSegment = resolvedModelPath.split('.')[0];
         let targetObjectForUpdate;
         let baseContextForRead;
         let effectiveKey = resolvedModelPath;
+        let loopSource = null;
 
-        if (resolvedModelPath.startsWith('$state.')) {
+        if (loopScope && Object.prototype.hasOwnProperty.call(loopScope, rootSegment)) {
+            baseContextForRead = loopScope;
+            if (rootSegment === resolvedModelPath) {
+                loopSource = loopScope[this._loopSourcesKey]?.[rootSegment] || null;
+                targetObjectForUpdate = null;
+                if (!loopSource) {
+                    console.warn(
+                        `Spandrix: data-model="${resolvedModelPath}" targets a loop index or key, which cannot be written.`
+                    );
+                }
+            } else {
+                targetObjectForUpdate = loopScope;
+            }
+        } else if (resolvedModelPath.startsWith('$state.')) {
             targetObjectForUpdate = this.$state;
             baseContextForRead = this.$state;
             effectiveKey = resolvedModelPath.substring(7);
@@ -964,13 +2429,7 @@ class SpandrixEngine {
         } else if (componentInstance) {
             baseContextForRead = componentInstance._templateContext;
             
-            if (loopScope && Object.prototype.hasOwnProperty.call(loopScope, resolvedModelPath)) {
-                targetObjectForUpdate = loopScope;
-                console.warn(
-                    `Spandrix: data-model="${resolvedModelPath}" targets loop variable. ` +
-                    `Two-way binding may not update original collection.`
-                );
-            } else if (componentInstance._componentData && 
+            if (componentInstance._componentData && 
                        (resolvedModelPath in componentInstance._componentData)) {
                 targetObjectForUpdate = componentInstance._componentData;
             } else if (componentInstance.$props && 
@@ -992,21 +2451,59 @@ class SpandrixEngine {
             effectiveKey = resolvedModelPath;
         }
 
-        let currentValue = this._getValueByPath(baseContextForRead, effectiveKey);
+        const currentValue = this._getValueByPath(baseContextForRead, effectiveKey);
+        const isSelect = inputElement.tagName === 'SELECT';
+        const isMultiSelect = isSelect && inputElement.multiple;
+        const isCheckbox = inputElement.type === 'checkbox';
+        const isRadio = inputElement.type === 'radio';
+        const isEditable = !isSelect && !/^(INPUT|TEXTAREA)$/.test(inputElement.tagName);
+        const hasModifier = (mod) => modifiers.includes(mod);
+
+        const readBoundAttr = (attrName, fallback) => {
+            const boundExpr = inputElement.getAttribute(`data-bind:${attrName}`);
+            if (boundExpr !== null) {
+                return this._buildScopedEvaluator(boundExpr, dataContext, componentInstance, loopScope)();
+            }
+            return inputElement.hasAttribute(attrName) ? inputElement.getAttribute(attrName) : fallback;
+        };
+        const trueValue = isCheckbox ? readBoundAttr('true-value', true) : true;
+        const falseValue = isCheckbox ? readBoundAttr('false-value', false) : false;
+        const looseEqual = (a, b) => a === b || String(a) === String(b);
+        const castValue = (value) => {
+            if (typeof value !== 'string') return value;
+            if (hasModifier('trim')) value = value.trim();
+            if (hasModifier('number')) {
+                const parsed = parseFloat(value);
+                return isNaN(parsed) ? value : parsed;
+            }
+            return value;
+        };
 
-        if (inputElement.type === 'checkbox') {
-            inputElement.checked = !!currentValue;
-        } else if (inputElement.type === 'radio') {
-            inputElement.checked = (String(inputElement.value) === String(currentValue));
-        } else {
-            inputElement.value = (currentValue !== undefined && currentValue !== null) 
-                ? String(currentValue) 
-                : '';
-        }
+        inputElement._spxApplyModelValue = () => {
+            if (isCheckbox) {
+                inputElement.checked = Array.isArray(currentValue)
+                    ? currentValue.some(v => looseEqual(v, inputElement.value))
+                    : looseEqual(currentValue, trueValue);
+            } else if (isRadio) {
+                inputElement.checked = looseEqual(inputElement.value, currentValue);
+            } else if (isMultiSelect) {
+                const selectedValues = Array.isArray(currentValue) ? currentValue : [];
+                Array.from(inputElement.options).forEach(option => {
+                    option.selected = selectedValues.some(v => looseEqual(v, option.value));
+                });
+            } else if (isEditable) {
+                const text = (currentValue !== undefined && currentValue !== null) ? String(currentValue) : '';
+                if (inputElement.textContent !== text) inputElement.textContent = text;
+            } else {
+                inputElement.value = (currentValue !== undefined && currentValue !== null) 
+                    ? String(currentValue) 
+                    : '';
+                inputElement._spxRenderedValue = inputElement.value;
+            }
+        };
 
-        const eventName = (inputElement.tagName === 'SELECT' || 
-                          inputElement.type === 'checkbox' || 
-                          inputElement.type === 'radio') ? 'change' : 'input';
+        let eventName = (isSelect || isCheckbox || isRadio) ? 'change' : 'input';
+        if (hasModifier('lazy')) eventName = isEditable ? 'blur' : 'change';
 
         if (inputElement._spx_data_model_handler) {
             inputElement.removeEventListener(
@@ -1018,27 +2515,11 @@ class SpandrixEngine {
             );
         }
 
-        const modelUpdateHandler = (event) => {
-            let newValue;
-            const targetInput = event.target;
-            
-            if (targetInput.type === 'checkbox') {
-                newValue = targetInput.checked;
-            } else if (targetInput.type === 'radio') {
-                if (!targetInput.checked) return;
-                newValue = targetInput.value;
-            } else {
-                newValue = targetInput.value;
-            }
-
-            const originalValueAtPath = this._getValueByPath(baseContextForRead, effectiveKey);
-            if (typeof originalValueAtPath === 'number' && !isNaN(parseFloat(newValue))) {
-                newValue = parseFloat(newValue);
-            } else if (typeof originalValueAtPath === 'boolean') {
-                newValue = (newValue === 'true' || newValue === true);
-            }
-
-            if (targetObjectForUpdate) {
+        const writeModelValue = (newValue) => {
+            if (loopSource) {
+                loopScope[rootSegment] = newValue;
+                loopSource.collection[loopSource.key] = newValue;
+            } else if (targetObjectForUpdate) {
                 this._setValueByPath(targetObjectForUpdate, effectiveKey, newValue);
             } else if (componentInstance && 
                        componentInstance._componentDef.model && 
@@ -1050,6 +2531,57 @@ class SpandrixEngine {
             }
         };
 
+        const readModelValue = (targetInput) => {
+            const originalValueAtPath = this._getValueByPath(baseContextForRead, effectiveKey);
+
+            if (targetInput.type === 'checkbox') {
+                if (Array.isArray(originalValueAtPath)) {
+                    const optionValue = castValue(targetInput.value);
+                    const others = originalValueAtPath.filter(v => !looseEqual(v, optionValue));
+                    return targetInput.checked ? [...others, optionValue] : others;
+                }
+                return targetInput.checked ? trueValue : falseValue;
+            }
+            if (isMultiSelect) {
+                return Array.from(targetInput.selectedOptions || targetInput.options)
+                    .filter(option => option.selected)
+                    .map(option => castValue(option.value));
+            }
+
+            let newValue = castValue(isEditable ? targetInput.textContent : targetInput.value);
+            if (!hasModifier('number')) {
+                if (typeof originalValueAtPath === 'number' && !isNaN(parseFloat(newValue))) {
+                    newValue = parseFloat(newValue);
+                } else if (typeof originalValueAtPath === 'boolean') {
+                    newValue = (newValue === 'true' || newValue === true);
+                }
+            }
+            return newValue;
+        };
+
+        const debounceIndex = modifiers.indexOf('debounce');
+        let debounceWait = 0;
+        if (debounceIndex !== -1) {
+            const waitMatch = (modifiers[debounceIndex + 1] || '').match(/^(\d+)(ms|s)?$/);
+            debounceWait = waitMatch ? Number(waitMatch[1]) * (waitMatch[2] === 's' ? 1000 : 1) : 300;
+        }
+
+        const modelUpdateHandler = (event) => {
+            const targetInput = event.currentTarget || event.target;
+            if (targetInput.type === 'radio' && !targetInput.checked) return;
+
+            if (!debounceWait) {
+                writeModelValue(readModelValue(targetInput));
+                return;
+            }
+            clearTimeout(targetInput._spx_data_model_timer);
+            targetInput._spx_data_model_timer = setTimeout(() => {
+                delete targetInput._spx_data_model_timer;
+                if (componentInstance && componentInstance._destroyed) return;
+                writeModelValue(readModelValue(targetInput));
+            }, debounceWait);
+        };
+
         inputElement.addEventListener(eventName, modelUpdateHandler);
         this._eventListeners.push({
             element: inputElement,
@@ -1059,6 +2591,16 @@ class SpandrixEngine {
         });
         inputElement._spx_data_model_handler = modelUpdateHandler;
         inputElement._spx_data_model_event_type = eventName;
+        inputElement._spx_data_model_modifiers = modifiers;
+    }
+
+    _clearModelTimersWithin(rootNode) {
+        if (!rootNode || rootNode.nodeType !== Node.ELEMENT_NODE) return;
+        [rootNode, ...rootNode.querySelectorAll('*')].forEach(el => {
+            if (el._spx_data_model_timer === undefined) return;
+            clearTimeout(el._spx_data_model_timer);
+            delete el._spx_data_model_timer;
+        });
     }
 
     _processNode(node, dataContext, componentInstance = null, currentLoopScope = {}, parentFragment = null) {
@@ -1069,12 +2611,12 @@ class SpandrixEngine {
         this._recursionDepth++;
 
         try {
-            const newProcessingSignature = JSON.stringify({
+            const newProcessingSignature = this._withoutTracking(() => JSON.stringify({
                 dataContextIdentity: dataContext === this._currentRootData 
                     ? 'root' 
                     : (componentInstance ? componentInstance._componentId : 'other'),
                 loopScope: currentLoopScope
-            });
+            }));
 
             if (node._spxProcessedSignature === newProcessingSignature && node.parentNode) {
                 this._recursionDepth--;
@@ -1085,9 +2627,18 @@ class SpandrixEngine {
                 node._spxProcessedSignature = null;
             }
 
+            if (node._spxIfChainMember) {
+                this._recursionDepth--;
+                return node;
+            }
+
             let currentNodeToProcess = node;
 
             if (currentNodeToProcess.nodeType === Node.ELEMENT_NODE) {
+                if (currentNodeToProcess.hasAttribute('data-else-if') || currentNodeToProcess.hasAttribute('data-else')) {
+                    console.warn('Spandrix: data-else/data-else-if must directly follow an element with data-if or data-else-if.');
+                }
+
                 const ifAttr = currentNodeToProcess.getAttribute('data-if');
                 if (ifAttr) {
                     currentNodeToProcess = this._processIfDirective(
@@ -1105,19 +2656,9 @@ class SpandrixEngine {
                     }
                 }
 
-                const tagName = currentNodeToProcess.tagName.toLowerCase();
-                const componentDef = this.components[tagName];
-                if (componentDef) {
-                    this._renderComponent(
-                        currentNodeToProcess,
-                        tagName,
-                        dataContext,
-                        componentInstance,
-                        currentLoopScope
-                    );
-                    currentNodeToProcess._spxProcessedSignature = newProcessingSignature;
-                    this._recursionDepth--;
-                    return currentNodeToProcess;
+                if (currentNodeToProcess.hasAttribute('data-ref')) {
+                    currentNodeToProcess._spxRefOwner = componentInstance;
+                    currentNodeToProcess._spxRefInFor = !!currentLoopScope[this._loopSourcesKey];
                 }
 
                 if (currentNodeToProcess.hasAttribute('data-repeat')) {
@@ -1134,6 +2675,39 @@ class SpandrixEngine {
                     return anchor;
                 }
 
+                if (currentNodeToProcess.tagName === 'SLOT' && componentInstance) {
+                    const slotNodes = this._renderSlot(currentNodeToProcess, dataContext, componentInstance, currentLoopScope);
+                    if (slotNodes) {
+                        this._recursionDepth--;
+                        return slotNodes[slotNodes.length - 1];
+                    }
+                    currentNodeToProcess._spxSlotFallback = true;
+                }
+
+                const tagName = currentNodeToProcess.tagName.toLowerCase();
+                const componentDef = this.components[tagName];
+                if (componentDef) {
+                    if (currentNodeToProcess._spandrixComponent) {
+                        this._renderComponent(
+                            currentNodeToProcess,
+                            tagName,
+                            dataContext,
+                            componentInstance,
+                            currentLoopScope
+                        );
+                    } else {
+                        currentNodeToProcess._spxPendingComponent = {
+                            tagName,
+                            dataContext,
+                            componentInstance,
+                            loopScope: currentLoopScope
+                        };
+                    }
+                    currentNodeToProcess._spxProcessedSignature = newProcessingSignature;
+                    this._recursionDepth--;
+                    return currentNodeToProcess;
+                }
+
                 const showAttr = currentNodeToProcess.getAttribute('data-show');
                 if (showAttr) {
                     this._processShowDirective(
@@ -1145,13 +2719,15 @@ class SpandrixEngine {
                     );
                 }
 
+                const customDirectives = [];
                 Array.from(currentNodeToProcess.attributes).forEach(attr => {
                     const { name: attrName, value: attrValue } = attr;
                     
                     if (attrName.startsWith('data-on:')) {
-                        const eventType = attrName.slice(8);
+                        const listenerKey = attrName.slice(8);
+                        const [eventType, ...modifiers] = listenerKey.split('.');
                         if (!currentNodeToProcess._spx_event_listeners || 
-                            !currentNodeToProcess._spx_event_listeners[eventType]) {
+                            !currentNodeToProcess._spx_event_listeners[listenerKey]) {
                             const eventHandlerFn = this._createEventHandler(
                                 currentNodeToProcess,
                                 attrValue,
@@ -1160,26 +2736,34 @@ class SpandrixEngine {
                                 currentLoopScope
                             );
                             if (eventHandlerFn) {
-                                currentNodeToProcess.addEventListener(eventType, eventHandlerFn);
+                                const { handler, options } = this._applyEventModifiers(
+                                    eventHandlerFn,
+                                    listenerKey,
+                                    modifiers
+                                );
+                                currentNodeToProcess.addEventListener(eventType, handler, options);
                                 this._eventListeners.push({
                                     element: currentNodeToProcess,
                                     type: eventType,
-                                    handler: eventHandlerFn,
+                                    handler,
+                                    options,
                                     componentId: componentInstance ? componentInstance._componentId : null
                                 });
                                 currentNodeToProcess._spx_event_listeners = 
                                     currentNodeToProcess._spx_event_listeners || {};
-                                currentNodeToProcess._spx_event_listeners[eventType] = eventHandlerFn;
+                                currentNodeToProcess._spx_event_listeners[listenerKey] = handler;
                             }
                         }
-                    } else if (attrName === 'data-model' && 
-                               /^(INPUT|TEXTAREA|SELECT)$/.test(currentNodeToProcess.tagName)) {
+                    } else if ((attrName === 'data-model' || attrName.startsWith('data-model.')) &&
+                               (/^(INPUT|TEXTAREA|SELECT)$/.test(currentNodeToProcess.tagName) ||
+                                this._isContentEditable(currentNodeToProcess))) {
                         this._processDataModel(
                             currentNodeToProcess,
                             attrValue,
                             dataContext,
                             componentInstance,
-                            currentLoopScope
+                            currentLoopScope,
+                            attrName.split('.').slice(1)
                         );
                     } else if (attrName.startsWith(':') || attrName.startsWith('data-bind:')) {
                         const bindAttr = attrName.startsWith(':') 
@@ -1189,10 +2773,18 @@ class SpandrixEngine {
                             attrValue,
                             dataContext,
                             componentInstance,
-                            currentLoopScope
+                            currentLoopScope,
+                            true
                         )();
+                        if (val === this._pendingAsyncValue) {
+                            val = bindAttr === 'class' || bindAttr === 'style'
+                                ? undefined
+                                : this.options.asyncPlaceholder;
+                        }
 
-                        if (bindAttr === 'class') {
+                        if (!this._isAllowedAttributeBinding(currentNodeToProcess, bindAttr, val)) {
+                            currentNodeToProcess.removeAttribute(bindAttr);
+                        } else if (bindAttr === 'class') {
                             const staticClasses = currentNodeToProcess._spx_static_class ?? 
                                 Array.from(currentNodeToProcess.classList)
                                     .filter(c => !c.startsWith('spx-dynamic-'))
@@ -1233,11 +2825,26 @@ class SpandrixEngine {
                             componentInstance,
                             currentLoopScope
                         );
-                        if (currentNodeToProcess.getAttribute(attrName) !== interpolatedValue) {
+                        if (!this._isAllowedAttributeBinding(currentNodeToProcess, attrName, interpolatedValue)) {
+                            currentNodeToProcess.removeAttribute(attrName);
+                        } else if (currentNodeToProcess.getAttribute(attrName) !== interpolatedValue) {
                             currentNodeToProcess.setAttribute(attrName, interpolatedValue);
                         }
+                    } else if (attrName.startsWith('data-')) {
+                        const directive = this._collectCustomDirective(
+                            currentNodeToProcess,
+                            attrName,
+                            attrValue,
+                            dataContext,
+                            componentInstance,
+                            currentLoopScope
+                        );
+                        if (directive) customDirectives.push(directive);
                     }
                 });
+                if (customDirectives.length) {
+                    currentNodeToProcess._spxPendingDirectives = customDirectives;
+                }
 
                 if (currentNodeToProcess.hasAttribute('data-fetch')) {
                     this._processFetchDirective(
@@ -1262,12 +2869,12 @@ class SpandrixEngine {
                 
                 if (currentNodeToProcess.hasAttribute('data-html')) {
                     if (this.options.allowRawHTML) {
-                        currentNodeToProcess.innerHTML = this._interpolateString(
+                        this._setInnerHTML(currentNodeToProcess, this._interpolateString(
                             `{{{${currentNodeToProcess.getAttribute('data-html')}}}}`,
                             dataContext,
                             componentInstance,
                             currentLoopScope
-                        );
+                        ));
                     } else {
                         currentNodeToProcess.textContent = this.options.missingValuePlaceholder;
                         console.warn('Spandrix: data-html used but allowRawHTML is false.');
@@ -1278,14 +2885,16 @@ class SpandrixEngine {
                 }
                 
                 if (currentNodeToProcess.hasAttribute('data-safe-html')) {
-                    currentNodeToProcess.innerHTML = this._sanitizeHTML(
-                        this._interpolateString(
-                            `{{{${currentNodeToProcess.getAttribute('data-safe-html')}}}}`,
-                            dataContext,
-                            componentInstance,
-                            currentLoopScope
-                        )
-                    );
+                    const safeHtmlValue = this._buildScopedEvaluator(
+                        currentNodeToProcess.getAttribute('data-safe-html'),
+                        dataContext,
+                        componentInstance,
+                        currentLoopScope,
+                        true
+                    )();
+                    this._setInnerHTML(currentNodeToProcess, safeHtmlValue === this._pendingAsyncValue
+                        ? this._sanitizeHTML(this.options.asyncPlaceholder)
+                        : this.sanitizeHTML(safeHtmlValue));
                     currentNodeToProcess._spxProcessedSignature = newProcessingSignature;
                     this._recursionDepth--;
                     return currentNodeToProcess;
@@ -1303,17 +2912,31 @@ class SpandrixEngine {
                     if (child.nodeType === Node.TEXT_NODE && 
                         (child.nodeValue.includes('{{') || child.nodeValue.includes('{{{'))) {
                         child._spxProcessedSignature = null;
-                        const originalValue = child.nodeValue;
-                        const interpolated = this._interpolateString(
-                            originalValue,
+                        const parts = this._interpolateParts(
+                            child.nodeValue,
                             dataContext,
                             componentInstance,
                             currentLoopScope
-                        );
-                        if (interpolated !== originalValue) {
-                            child.nodeValue = interpolated;
-                        }
+                        ).map(part => {
+                            if (part.type !== 'html') return part;
+                            const parsed = document.createElement('template');
+                            this._setInnerHTML(parsed, part.value);
+                            return { type: 'html', content: parsed.content };
+                        });
                         processedChild = child;
+
+                        const hasElements = parts.some(part => part.type === 'html' &&
+                            Array.from(part.content.childNodes).some(node => node.nodeType !== Node.TEXT_NODE));
+                        if (hasElements) {
+                            const fragment = document.createDocumentFragment();
+                            parts.forEach(part => fragment.appendChild(part.type === 'html'
+                                ? part.content
+                                : document.createTextNode(part.value)));
+                            processedChild = fragment;
+                        } else {
+                            const text = parts.map(part => (part.type === 'html' ? part.content.textContent : part.value)).join('');
+                            if (child.nodeValue !== text) child.nodeValue = text;
+                        }
                     } else if (child.nodeType === Node.ELEMENT_NODE) {
                         processedChild = this._processNode(
                             child,
@@ -1334,6 +2957,21 @@ class SpandrixEngine {
                 }
             }
 
+            if (currentNodeToProcess._spxApplyModelValue) {
+                currentNodeToProcess._spxApplyModelValue();
+                delete currentNodeToProcess._spxApplyModelValue;
+            }
+
+            if (currentNodeToProcess._spxSlotFallback) {
+                const fallbackNodes = this._replaceSlotElement(
+                    currentNodeToProcess,
+                    Array.from(currentNodeToProcess.childNodes),
+                    false
+                );
+                this._recursionDepth--;
+                return fallbackNodes[fallbackNodes.length - 1];
+            }
+
             currentNodeToProcess._spxProcessedSignature = newProcessingSignature;
             this._recursionDepth--;
             return currentNodeToProcess;
@@ -1392,16 +3030,10 @@ class SpandrixEngine {
                     _spxLastFetchCompletedSuccessfully: false,
                     _spxIsCurrentlyFetching: false
                 },
-                (changedObject, changedKey, newValue, oldValue) => {
+                (changedObject, changedKey) => {
                     this._logDebug(
                         `data-fetch: State change in '${effectiveFetchAsKey}.${String(changedKey)}'`
                     );
-                    if (componentInstance && componentInstance._mounted) {
-                        componentInstance.$update();
-                    } else if (targetContextObject === this._currentRootData || 
-                               dataContext === this._currentRootData) {
-                        this._scheduleRootReRender();
-                    }
                 },
                 `fetchState_${effectiveFetchAsKey}`
             );
@@ -1483,6 +3115,16 @@ class SpandrixEngine {
         const componentDef = this.components[tagName];
         if (!componentDef) return;
 
+        if (componentDef._isAsync) {
+            this._renderAsyncComponent(hostElement, componentDef, {
+                tagName,
+                dataContext: parentDataContext,
+                componentInstance: parentComponentInstanceContext,
+                loopScope: parentLoopScope
+            });
+            return;
+        }
+
         const existingInstance = hostElement._spandrixComponent;
 
         if (existingInstance && existingInstance._componentDef._name === tagName) {
@@ -1542,22 +3184,19 @@ class SpandrixEngine {
                 }
             }
 
-            let propsChanged = false;
-            for (const key in newPropsData) {
-                if (JSON.stringify(existingInstance.$props[key]) !== JSON.stringify(newPropsData[key])) {
-                    existingInstance.$props[key] = newPropsData[key];
-                    propsChanged = true;
+            this._withoutTracking(() => {
+                for (const key in newPropsData) {
+                    if (JSON.stringify(existingInstance.$props[key]) !== JSON.stringify(newPropsData[key])) {
+                        existingInstance.$props[key] = newPropsData[key];
+                    }
                 }
-            }
 
-            for (const key in existingInstance.$props) {
-                if (!(key in newPropsData) && key in propsDefForUpdate) {
-                    delete existingInstance.$props[key];
-                    propsChanged = true;
+                for (const key in existingInstance.$props) {
+                    if (!(key in newPropsData) && key in propsDefForUpdate) {
+                        delete existingInstance.$props[key];
+                    }
                 }
-            }
-
-            if (propsChanged) existingInstance.$update();
+            });
             return;
         } else if (existingInstance) {
             this._destroyComponent(existingInstance);
@@ -1640,6 +3279,7 @@ class SpandrixEngine {
 
         const componentId = this._generateComponentId();
         hostElement.setAttribute('data-spx-id', componentId);
+        this._mountComponentStyle(componentDef);
 
         const componentInstance = {
             _isComponentInstance: true,
@@ -1650,15 +3290,21 @@ class SpandrixEngine {
             _parentDataContext: parentDataContext,
             _parentComponentInstance: parentComponentInstanceContext,
             _parentLoopScope: parentLoopScope,
+            _depth: parentComponentInstanceContext ? parentComponentInstanceContext._depth + 1 : 0,
             _watchers: [],
             _computedWatchers: {},
             _computedValuesCache: {},
+            _renderEffect: null,
+            _provided: null,
+            _provideEffect: null,
+            _injections: null,
             _mounted: false,
             _destroyed: false,
             $props: null,
             _componentData: null,
             $refs: {},
             $slots: {},
+            $scopedSlots: {},
             $engine: this,
             $emit: (event, ...detail) => {
                 if (componentInstance._destroyed) return;
@@ -1673,26 +3319,32 @@ class SpandrixEngine {
                 if (componentInstance._destroyed || !componentInstance._mounted) return;
                 this._logDebug(`<${componentDef._name}> (${componentId}) $update() called.`);
                 this._callHook('beforeComponentUpdate', componentInstance._templateContext, componentInstance);
-                this._updateComputedProperties(componentInstance);
-                this._cleanupEventListenersBoundWithin(componentId);
-
-                const contentFragment = this._compileComponentTemplate(componentInstance);
-                componentInstance.$el.innerHTML = '';
-                componentInstance.$el.appendChild(contentFragment);
+                this._runEffect(componentInstance._renderEffect, () => {
+                    const contentFragment = this._compileComponentTemplate(componentInstance);
+                    this._patchChildren(componentInstance.$el, contentFragment);
+                });
+                this._updateRefs(componentInstance.$refs, componentInstance.$el, componentInstance);
+                if (this.options.enablePerformanceMetrics) {
+                    this._performanceMetrics.updates++;
+                }
                 this._callHook('afterComponentUpdate', componentInstance._templateContext, componentInstance);
             },
             $watch: (path, cb) => this._addWatcher(componentInstance, path, cb),
+            $nextTick: (cb) => this.nextTick(cb ? cb.bind(componentInstance._templateContext) : undefined),
             $destroy: () => this._destroyComponent(componentInstance)
         };
 
         hostElement._spandrixComponent = componentInstance;
+        componentInstance._renderEffect = this._createEffect(() => this._queueUpdate(componentInstance));
 
-        componentInstance.$slots = this._captureAndProcessSlots(
+        const { slots, scopedSlots } = this._captureAndProcessSlots(
             hostElement,
             parentDataContext,
             parentComponentInstanceContext,
             parentLoopScope
         );
+        componentInstance.$slots = slots;
+        componentInstance.$scopedSlots = scopedSlots;
 
         if (hostElement._spxSyncListeners) {
             hostElement._spxSyncListeners.forEach(l => 
@@ -1723,20 +3375,19 @@ class SpandrixEngine {
 
         componentInstance.$props = this._makeReactive(propsData, (target, key, value, oldValue) => {
             this._logDebug(`<${tagName}> prop changed: ${String(key)}`, oldValue, '->', value);
-            this._updateComputedProperties(componentInstance);
             if (componentDef.watch?.[key]) {
                 componentDef.watch[key].call(componentInstance._templateContext, value, oldValue);
             }
-            if (componentInstance._mounted) componentInstance.$update();
         }, `<${tagName}>.$props`);
 
+        componentInstance._injections = this._resolveInjections(componentInstance);
+
         const initialData = typeof componentDef.data === 'function' 
-            ? (componentDef.data.call(componentInstance) || {})
+            ? (this._withoutTracking(() => componentDef.data.call(componentInstance)) || {})
             : {};
 
         componentInstance._componentData = this._makeReactive(initialData, (target, key, value, oldValue) => {
             this._logDebug(`<${tagName}> data changed: ${String(key)}`, oldValue, '->', value);
-            this._updateComputedProperties(componentInstance);
             
             componentInstance._watchers.forEach(w => {
                 if (w.path === key || w.path.startsWith(key + '.')) {
@@ -1751,7 +3402,6 @@ class SpandrixEngine {
             if (componentDef.watch?.[key]) {
                 componentDef.watch[key].call(componentInstance._templateContext, value, oldValue);
             }
-            if (componentInstance._mounted) componentInstance.$update();
         }, `<${tagName}>._componentData`);
 
         const methodCache = {};
@@ -1770,8 +3420,8 @@ class SpandrixEngine {
                 if (directAccess.includes(String(key))) return target[key];
 
                 const publicApi = [
-                    '$el', '$props', '$slots', '$refs', '$engine',
-                    '$emit', '$watch', '$destroy', '$update'
+                    '$el', '$props', '$slots', '$scopedSlots', '$refs', '$engine',
+                    '$emit', '$watch', '$destroy', '$update', '$nextTick'
                 ];
                 if (publicApi.includes(String(key))) return target[key];
 
@@ -1787,6 +3437,7 @@ class SpandrixEngine {
                     if (!target._computedWatchers[key]?.isFresh) {
                         target.$engine._updateComputedProperties(target, String(key));
                     }
+                    target.$engine._trackDependency(target._computedValuesCache, key);
                     return target._computedValuesCache[key];
                 }
 
@@ -1794,6 +3445,9 @@ class SpandrixEngine {
                     return target._componentData[key];
                 }
                 if (target.$props && key in target.$props) return target.$props[key];
+                if (target._injections && key in target._injections) {
+                    return target.$engine._getInjectedValue(target, String(key));
+                }
 
                 if (target._parentLoopScope && key in target._parentLoopScope) {
                     return target._parentLoopScope[key];
@@ -1822,196 +3476,903 @@ class SpandrixEngine {
                     return false;
                 }
 
-                if (target._parentLoopScope && key in target._parentLoopScope &&
-                    typeof target._parentLoopScope[key] === 'object' &&
-                    target._parentLoopScope[key] !== null) {
-                    target._parentLoopScope[key] = value;
-                    return true;
-                }
+                if (target._injections && key in target._injections) {
+                    console.warn(
+                        `Spandrix: Cannot set injected "${String(key)}" on <${componentDef._name}>. ` +
+                        `Change it in the providing component.`
+                    );
+                    return false;
+                }
+
+                if (target._parentLoopScope && key in target._parentLoopScope &&
+                    typeof target._parentLoopScope[key] === 'object' &&
+                    target._parentLoopScope[key] !== null) {
+                    target._parentLoopScope[key] = value;
+                    return true;
+                }
+
+                if (target.$engine.$state && key in target.$engine.$state) {
+                    target.$engine.$state[key] = value;
+                    return true;
+                }
+
+                target[key] = value;
+                return true;
+            },
+
+            has: (target, key) => {
+                if (key in target) return true;
+                if (componentDef.methods && key in componentDef.methods) return true;
+                if (componentDef.computed && key in componentDef.computed) return true;
+                if (target._componentData && key in target._componentData) return true;
+                if (target.$props && key in target.$props) return true;
+                if (target._injections && key in target._injections) return true;
+                if (target._parentLoopScope && key in target._parentLoopScope) return true;
+                if (String(key) === '$state' || String(key) === 'globalData') return true;
+                if (target.$engine.globalData && key in target.$engine.globalData) return true;
+                return false;
+            }
+        });
+
+        if (typeof componentDef.data === 'function') {
+            const newData = this._withoutTracking(() => componentDef.data.call(componentInstance._templateContext)) || {};
+            for (const dataKey in newData) {
+                componentInstance._componentData[dataKey] = newData[dataKey];
+            }
+        }
+
+        if (componentDef.computed) {
+            for (const key in componentDef.computed) {
+                const getter = (typeof componentDef.computed[key] === 'function')
+                    ? componentDef.computed[key]
+                    : componentDef.computed[key].get;
+                componentInstance._computedWatchers[key] = {
+                    fn: getter,
+                    isFresh: false,
+                    effect: this._createEffect(() => this._updateComputedProperties(componentInstance, key))
+                };
+            }
+            this._updateComputedProperties(componentInstance);
+        }
+
+        if (componentDef.provide) {
+            componentInstance._provided = {};
+            componentInstance._provideEffect = this._createEffect(() => this._updateProvided(componentInstance));
+            this._updateProvided(componentInstance);
+        }
+
+        this._callHook('beforeComponentCreate', componentInstance._templateContext, componentInstance);
+        if (componentDef.created) {
+            try {
+                this._withoutTracking(() => componentDef.created.call(componentInstance._templateContext));
+            } catch (e) {
+                console.error(`Error in <${tagName}> created():`, e);
+            }
+        }
+        this._callHook('afterComponentCreate', componentInstance._templateContext, componentInstance);
+
+        this._runEffect(componentInstance._renderEffect, () => {
+            const contentFragment = this._compileComponentTemplate(componentInstance);
+            hostElement.textContent = '';
+            hostElement.appendChild(contentFragment);
+            this._mountPendingNodes(hostElement);
+        });
+        this._updateRefs(componentInstance.$refs, hostElement, componentInstance);
+
+        this._callHook('beforeComponentMount', componentInstance._templateContext, componentInstance);
+        Promise.resolve().then(() => {
+            if (!componentInstance._destroyed && document.body.contains(hostElement)) {
+                componentInstance._mounted = true;
+                if (componentDef.mounted) {
+                    try {
+                        componentDef.mounted.call(componentInstance._templateContext);
+                    } catch (e) {
+                        console.error(`Error in <${tagName}> mounted():`, e);
+                    }
+                }
+                this._callHook('afterComponentMount', componentInstance._templateContext, componentInstance);
+            }
+        });
+    }
+
+    _captureAndProcessSlots(hostElement, parentDataContext, parentComponentInstance, parentLoopScope) {
+        const capturedSlots = { default: [] };
+        const scopedSlots = {};
+        const tempFragmentForOriginalContent = document.createDocumentFragment();
+        
+        while (hostElement.firstChild) {
+            tempFragmentForOriginalContent.appendChild(hostElement.firstChild);
+        }
+
+        Array.from(tempFragmentForOriginalContent.childNodes).forEach(originalNode => {
+            if (originalNode.nodeType === Node.TEXT_NODE && 
+                originalNode.nodeValue.trim() === '') {
+                return;
+            }
+
+            let slotName = 'default';
+            let isTemplateSlotSyntax = false;
+            let slotScope = null;
+
+            if (originalNode.nodeType === Node.ELEMENT_NODE) {
+                const elTag = originalNode.tagName.toLowerCase();
+                const isVSlotAttr = attr => attr === 'v-slot' || attr.startsWith('v-slot:') || attr.startsWith('#');
+                if (elTag === 'template' && 
+                    (originalNode.hasAttribute('slot') || originalNode.getAttributeNames().some(isVSlotAttr))) {
+                    isTemplateSlotSyntax = true;
+                    const vSlotAttr = originalNode.getAttributeNames().find(isVSlotAttr);
+                    const slotAttr = originalNode.getAttribute('slot') || vSlotAttr;
+                    if (slotAttr) {
+                        const nameMatch = slotAttr.match(/^(?:v-slot:|#)?([^=]+)/);
+                        slotName = (nameMatch && nameMatch[1] && nameMatch[1].trim() !== '' && slotAttr !== 'v-slot')
+                            ? nameMatch[1].trim()
+                            : 'default';
+                    }
+                    slotScope = originalNode.getAttribute('slot-scope') ||
+                        (vSlotAttr && originalNode.getAttribute(vSlotAttr)) || null;
+                } else if (originalNode.hasAttribute('slot')) {
+                    slotName = originalNode.getAttribute('slot') || 'default';
+                }
+            }
+            
+            slotName = slotName.toLowerCase();
+
+            if (slotScope) {
+                scopedSlots[slotName] = this._createScopedSlot(
+                    originalNode,
+                    slotScope,
+                    parentDataContext,
+                    parentComponentInstance,
+                    parentLoopScope
+                );
+                return;
+            }
+
+            if (!capturedSlots[slotName]) capturedSlots[slotName] = [];
+
+            const nodesToProcessForSlot = isTemplateSlotSyntax
+                ? Array.from(originalNode.content.childNodes)
+                : [originalNode];
+
+            nodesToProcessForSlot.forEach(contentNode => {
+                const clonedNodeForProcessing = contentNode.cloneNode(true);
+                if (clonedNodeForProcessing.nodeType === Node.ELEMENT_NODE) {
+                    clonedNodeForProcessing.removeAttribute('slot');
+                }
+
+                const tempFragmentForProcessing = document.createDocumentFragment();
+                tempFragmentForProcessing.appendChild(clonedNodeForProcessing);
+                this._processNode(
+                    tempFragmentForProcessing,
+                    parentComponentInstance ? parentComponentInstance._templateContext : parentDataContext,
+                    parentComponentInstance,
+                    parentLoopScope
+                );
+
+                Array.from(tempFragmentForProcessing.childNodes).forEach(finalNode => {
+                    this._mountPendingNodes(finalNode);
+                    capturedSlots[slotName].push(finalNode);
+                });
+            });
+        });
+
+        return { slots: capturedSlots, scopedSlots };
+    }
+
+    _createScopedSlot(templateElement, slotScope, parentDataContext, parentComponentInstance, parentLoopScope) {
+        const contextForSlot = parentComponentInstance ? parentComponentInstance._templateContext : parentDataContext;
+        let loopScopeSignature = '';
+        try {
+            loopScopeSignature = this._withoutTracking(() => JSON.stringify(parentLoopScope) || '');
+        } catch (e) {
+            loopScopeSignature = '';
+        }
+
+        const renderSlot = (slotProps) => {
+            const slotLoopScope = { ...parentLoopScope, ...this._bindSlotScope(slotScope, slotProps) };
+            const fragment = document.createDocumentFragment();
+            Array.from(templateElement.content.childNodes).forEach(node => fragment.appendChild(node.cloneNode(true)));
+            this._processNode(fragment, contextForSlot, parentComponentInstance, slotLoopScope);
+            return Array.from(fragment.childNodes);
+        };
+        renderSlot.signature = `${slotScope}\u0000${templateElement.innerHTML}\u0000${loopScopeSignature}`;
+        return renderSlot;
+    }
+
+    _bindSlotScope(slotScope, slotProps) {
+        const pattern = slotScope.trim();
+        if (/^[a-zA-Z_$][\w$]*$/.test(pattern)) return { [pattern]: slotProps };
+
+        const destructured = pattern.match(/^\{([\s\S]*)\}$/);
+        if (!destructured) {
+            console.warn(`Spandrix: Unsupported slot-scope "${slotScope}". Use a name or { prop, other: alias }.`);
+            return {};
+        }
+
+        const bindings = {};
+        this._splitTopLevel(destructured[1], (source, i) => source[i] === ',').forEach(part => {
+            const [key, alias] = part.split(':').map(piece => piece.trim());
+            if (!key) return;
+            bindings[alias || key] = slotProps[key];
+        });
+        return bindings;
+    }
+
+    _renderSlot(slotElement, dataContext, componentInstance, loopScope) {
+        const slotName = (slotElement.getAttribute('name') || 'default').toLowerCase();
+        const scopedSlot = componentInstance.$scopedSlots && componentInstance.$scopedSlots[slotName];
+        let nodes;
+
+        if (scopedSlot) {
+            const slotProps = {};
+            slotElement.getAttributeNames().forEach(attr => {
+                if (attr === 'name') return;
+                if (attr.startsWith(':') || attr.startsWith('data-bind:')) {
+                    const propName = attr.startsWith(':') ? attr.slice(1) : attr.slice(10);
+                    slotProps[this._camelCase(propName)] = this._buildScopedEvaluator(
+                        slotElement.getAttribute(attr),
+                        dataContext,
+                        componentInstance,
+                        loopScope
+                    )();
+                } else {
+                    slotProps[this._camelCase(attr)] = slotElement.getAttribute(attr);
+                }
+            });
+            nodes = scopedSlot(slotProps);
+        } else {
+            nodes = (componentInstance.$slots[slotName] || []).map(node => node.cloneNode(true));
+        }
+
+        return nodes.length ? this._replaceSlotElement(slotElement, nodes) : null;
+    }
+
+    _replaceSlotElement(slotElement, nodes, isSlotContent = true) {
+        const replacement = nodes.length ? nodes : [document.createTextNode('')];
+        if (isSlotContent) replacement.forEach(node => { node._spxSlotContent = true; });
+        if (!slotElement.parentNode) {
+            const fragment = document.createDocumentFragment();
+            fragment.append(...replacement);
+            return [fragment];
+        }
+        slotElement.replaceWith(...replacement);
+        return replacement;
+    }
+
+    _renderAsyncComponent(hostElement, asyncDef, pending) {
+        asyncDef._waitingHosts.forEach((waiting, host) => {
+            if (host.isConnected) return;
+            asyncDef._waitingHosts.delete(host);
+            asyncDef._staleOwners.add(waiting.componentInstance || null);
+        });
+        if (!hostElement._spxAsyncContent) {
+            hostElement._spxAsyncContent = Array.from(hostElement.childNodes);
+        }
+        asyncDef._waitingHosts.set(hostElement, pending);
+        this._renderAsyncPlaceholder(hostElement, asyncDef);
+        this._loadAsyncComponent(asyncDef);
+    }
+
+    _loadAsyncComponent(asyncDef) {
+        if (asyncDef._loadPromise) return asyncDef._loadPromise;
+
+        this._logDebug(`Loading async component: <${asyncDef._name}>`);
+        asyncDef._loadError = null;
+        asyncDef._loadPromise = Promise.resolve()
+            .then(() => asyncDef._loader())
+            .then(resolved => {
+                const definition = resolved && typeof resolved === 'object' && 'default' in resolved
+                    ? resolved.default
+                    : resolved;
+                const normalized = typeof definition === 'string' ? { template: definition } : definition;
+                if (!normalized || !normalized.template) {
+                    throw new Error('Loader did not resolve to a component definition with a template.');
+                }
+                return normalized;
+            })
+            .then(definition => {
+                if (this.components[asyncDef._name] !== asyncDef) return;
+                this.registerComponent(asyncDef._name, definition);
+                this._mountLoadedComponent(asyncDef);
+            }, error => {
+                console.error(`Spandrix: Failed to load component <${asyncDef._name}>:`, error);
+                asyncDef._loadError = error;
+                asyncDef._waitingHosts.forEach((_, host) => this._renderAsyncPlaceholder(host, asyncDef));
+            });
+        return asyncDef._loadPromise;
+    }
+
+    _retryAsyncComponent(asyncDef) {
+        if (!asyncDef._loadError || this.components[asyncDef._name] !== asyncDef) return;
+        asyncDef._loadPromise = null;
+        asyncDef._loadError = null;
+        asyncDef._waitingHosts.forEach((_, host) => this._renderAsyncPlaceholder(host, asyncDef));
+        this._loadAsyncComponent(asyncDef);
+    }
+
+    _renderAsyncPlaceholder(hostElement, asyncDef) {
+        this._clearAsyncPlaceholder(hostElement);
+
+        const failed = !!asyncDef._loadError;
+        const templateString = failed ? asyncDef.error : asyncDef.loading;
+        if (!templateString) return;
+
+        const placeholderContext = failed
+            ? { error: asyncDef._loadError, retry: () => this._retryAsyncComponent(asyncDef) }
+            : {};
+        const tempDiv = document.createElement('div');
+        this._setInnerHTML(tempDiv, this.convertToSpandrixSyntax(templateString));
+        const fragment = document.createDocumentFragment();
+        fragment.append(...tempDiv.childNodes);
+        Array.from(fragment.childNodes).forEach(node => {
+            if (node.parentNode !== fragment) return;
+            const processed = this._processNode(node, placeholderContext, null, {}, fragment);
+            if (processed.parentNode !== fragment) fragment.appendChild(processed);
+        });
+
+        hostElement.appendChild(fragment);
+        this._mountPendingNodes(hostElement);
+    }
+
+    _clearAsyncPlaceholder(hostElement) {
+        Array.from(hostElement.childNodes).forEach(node => {
+            if (node.nodeType === Node.ELEMENT_NODE) {
+                this._unbindDirectivesWithin(node);
+                const hosts = Array.from(node.querySelectorAll('[data-spx-id]'));
+                if (node.hasAttribute('data-spx-id')) hosts.unshift(node);
+                hosts.forEach(host => {
+                    if (host._spandrixComponent) this._destroyComponent(host._spandrixComponent);
+                });
+                this._cleanupEventListenersBoundWithin(node);
+            }
+            node.remove();
+        });
+    }
+
+    _mountLoadedComponent(asyncDef) {
+        const waitingHosts = Array.from(asyncDef._waitingHosts);
+        const staleOwners = new Set(asyncDef._staleOwners);
+        asyncDef._waitingHosts.clear();
+        asyncDef._staleOwners.clear();
+
+        waitingHosts.forEach(([hostElement, pending]) => {
+            if (!hostElement.isConnected) {
+                staleOwners.add(pending.componentInstance || null);
+                return;
+            }
+            this._clearAsyncPlaceholder(hostElement);
+            hostElement.append(...(hostElement._spxAsyncContent || []));
+            delete hostElement._spxAsyncContent;
+
+            const owner = pending.componentInstance;
+            this._effectStack.push(owner ? owner._renderEffect : this._rootRenderEffect);
+            try {
+                this._renderComponent(
+                    hostElement,
+                    pending.tagName,
+                    pending.dataContext,
+                    owner,
+                    pending.loopScope
+                );
+            } finally {
+                this._effectStack.pop();
+            }
+
+            if (hostElement.hasAttribute('data-ref')) {
+                if (owner) this._updateRefs(owner.$refs, owner.$el, owner);
+                else if (this.root) this._updateRefs(this.$refs, this.root, null);
+            }
+        });
+
+        staleOwners.forEach(owner => {
+            if (!owner) {
+                if (this.root) this._scheduleRootReRender();
+            } else if (!owner._destroyed) {
+                this._queueUpdate(owner);
+            }
+        });
+    }
+
+    _compileComponentTemplate(componentInstance) {
+        const componentDef = componentInstance._componentDef;
+        const templateString = typeof componentDef.template === 'function'
+            ? componentDef.template.call(componentInstance._templateContext)
+            : componentDef.template;
+
+        const tempDiv = document.createElement('div');
+        this._setInnerHTML(tempDiv, this.convertToSpandrixSyntax(templateString));
+        const fragment = document.createDocumentFragment();
+
+        Array.from(tempDiv.childNodes).forEach(node => fragment.appendChild(node.cloneNode(true)));
+        Array.from(fragment.childNodes).forEach(clonedNode => {
+            if (clonedNode.parentNode !== fragment) return;
+            const processed = this._processNode(
+                clonedNode,
+                componentInstance._templateContext,
+                componentInstance,
+                {},
+                fragment
+            );
+            if (processed.parentNode !== fragment) {
+                fragment.appendChild(processed);
+            }
+        });
+
+        if (componentDef.style && componentDef.scoped) {
+            this._applyScopeAttribute(fragment, this._getScopeAttribute(componentDef));
+        }
+        return fragment;
+    }
+
+    _getScopeAttribute(componentDef) {
+        return `data-spx-scope-${componentDef._name}`;
+    }
+
+    _applyScopeAttribute(rootNode, scopeAttribute) {
+        Array.from(rootNode.children).forEach(el => {
+            if (el._spxSlotContent) return;
+            el.setAttribute(scopeAttribute, '');
+            if (el.tagName === 'TEMPLATE') this._applyScopeAttribute(el.content, scopeAttribute);
+            this._applyScopeAttribute(el, scopeAttribute);
+        });
+    }
+
+    _mountComponentStyle(componentDef) {
+        if (!componentDef.style) return;
+        const existing = this._componentStyles.get(componentDef._name);
+        if (existing) {
+            existing.instances++;
+            return;
+        }
+
+        const styleElement = document.createElement('style');
+        styleElement.setAttribute('data-spx-style', componentDef._name);
+        styleElement.textContent = componentDef.scoped
+            ? this._scopeCss(componentDef.style, `[${this._getScopeAttribute(componentDef)}]`)
+            : componentDef.style;
+        document.head.appendChild(styleElement);
+        this._componentStyles.set(componentDef._name, { element: styleElement, instances: 1 });
+        this._logDebug(`Injected styles for <${componentDef._name}>`);
+    }
 
-                if (target.$engine.$state && key in target.$engine.$state) {
-                    target.$engine.$state[key] = value;
-                    return true;
-                }
+    _unmountComponentStyle(componentDef) {
+        const entry = componentDef && this._componentStyles.get(componentDef._name);
+        if (!entry) return;
+        entry.instances = Math.max(0, entry.instances - 1);
+        if (entry.instances === 0 && this.options.removeComponentStyles) {
+            entry.element.remove();
+            this._componentStyles.delete(componentDef._name);
+            this._logDebug(`Removed styles for <${componentDef._name}>`);
+        }
+    }
 
-                target[key] = value;
-                return true;
-            },
+    _scopeCss(css, scopeSelector) {
+        const source = css.replace(/\/\*[\s\S]*?\*\//g, '');
+        const groupingRules = /^@(media|supports|container|layer|document)\b/i;
+        let output = '';
+        let i = 0;
+
+        while (i < source.length) {
+            const open = source.indexOf('{', i);
+            if (open === -1) {
+                output += source.slice(i);
+                break;
+            }
 
-            has: (target, key) => {
-                if (key in target) return true;
-                if (componentDef.methods && key in componentDef.methods) return true;
-                if (componentDef.computed && key in componentDef.computed) return true;
-                if (target._componentData && key in target._componentData) return true;
-                if (target.$props && key in target.$props) return true;
-                if (target._parentLoopScope && key in target._parentLoopScope) return true;
-                if (String(key) === '$state' || String(key) === 'globalData') return true;
-                if (target.$engine.globalData && key in target.$engine.globalData) return true;
-                return false;
+            let depth = 1;
+            let close = open + 1;
+            for (; close < source.length && depth > 0; close++) {
+                if (source[close] === '{') depth++;
+                else if (source[close] === '}') depth--;
             }
-        });
 
-        if (typeof componentDef.data === 'function') {
-            const newData = componentDef.data.call(componentInstance._templateContext) || {};
-            for (const dataKey in newData) {
-                componentInstance._componentData[dataKey] = newData[dataKey];
+            const rawPrelude = source.slice(i, open);
+            const prelude = rawPrelude.trim();
+            output += rawPrelude.match(/^\s*/)[0];
+            const body = source.slice(open + 1, close - 1);
+            const statements = prelude.match(/^([\s\S]*;)([^;]*)$/);
+            const leading = statements ? statements[1] : '';
+            const selector = statements ? statements[2].trim() : prelude;
+
+            if (groupingRules.test(selector)) {
+                output += `${leading}${selector} {${this._scopeCss(body, scopeSelector)}}`;
+            } else if (selector.startsWith('@')) {
+                output += `${leading}${selector} {${body}}`;
+            } else {
+                const scopedSelector = this._splitTopLevel(selector, (text, index) => text[index] === ',')
+                    .map(part => this._scopeSelector(part.trim(), scopeSelector))
+                    .join(', ');
+                output += `${leading}${scopedSelector} {${body}}`;
             }
+            i = close;
         }
+        return output;
+    }
 
-        if (componentDef.computed) {
-            for (const key in componentDef.computed) {
-                const getter = (typeof componentDef.computed[key] === 'function')
-                    ? componentDef.computed[key]
-                    : componentDef.computed[key].get;
-                componentInstance._computedWatchers[key] = {
-                    fn: getter,
-                    isFresh: false,
-                    dependencies: this._extractKeysFromExpression(getter.toString())
-                };
+    _scopeSelector(selector, scopeSelector) {
+        let depth = 0;
+        let quote = null;
+        let pseudoElementStart = -1;
+
+        for (let i = 0; i < selector.length; i++) {
+            const char = selector[i];
+            if (quote) {
+                if (char === '\\') i++;
+                else if (char === quote) quote = null;
+            } else if (char === '"' || char === "'") {
+                quote = char;
+            } else if (char === '(' || char === '[') {
+                depth++;
+            } else if (char === ')' || char === ']') {
+                depth--;
+            } else if (depth === 0 && /[\s>+~]/.test(char)) {
+                pseudoElementStart = -1;
+            } else if (depth === 0 && char === ':' && pseudoElementStart === -1 &&
+                (selector[i + 1] === ':' || /^:(before|after|first-line|first-letter)\b/i.test(selector.slice(i)))) {
+                pseudoElementStart = i;
             }
-            this._updateComputedProperties(componentInstance);
         }
 
-        this._callHook('beforeComponentCreate', componentInstance._templateContext, componentInstance);
-        if (componentDef.created) {
-            try {
-                componentDef.created.call(componentInstance._templateContext);
-            } catch (e) {
-                console.error(`Error in <${tagName}> created():`, e);
+        if (!selector) return selector;
+        const insertAt = pseudoElementStart !== -1 ? pseudoElementStart : selector.length;
+        return selector.slice(0, insertAt) + scopeSelector + selector.slice(insertAt);
+    }
+
+    _mountPendingNodes(rootNode) {
+        if (!rootNode || (rootNode.nodeType !== Node.ELEMENT_NODE &&
+            rootNode.nodeType !== Node.DOCUMENT_FRAGMENT_NODE)) {
+            return;
+        }
+
+        const pendingHosts = rootNode._spxPendingComponent ? [rootNode] : [];
+        const pendingDirectives = rootNode._spxPendingDirectives ? [rootNode] : [];
+        rootNode.querySelectorAll('*').forEach(el => {
+            if (el._spxPendingComponent) pendingHosts.push(el);
+            if (el._spxPendingDirectives) pendingDirectives.push(el);
+        });
+
+        pendingHosts.forEach(host => {
+            const pending = host._spxPendingComponent;
+            if (!pending) return;
+            delete host._spxPendingComponent;
+            this._renderComponent(
+                host,
+                pending.tagName,
+                pending.dataContext,
+                pending.componentInstance,
+                pending.loopScope
+            );
+        });
+        pendingDirectives.forEach(el => this._applyPendingDirectives(el));
+    }
+
+    _updateRefs(refs, rootElement, owner) {
+        Object.keys(refs).forEach(name => delete refs[name]);
+        rootElement.querySelectorAll('[data-ref]').forEach(el => {
+            if (el._spxRefOwner !== owner) return;
+            const name = el.getAttribute('data-ref');
+            const value = el._spandrixComponent ? el._spandrixComponent._templateContext : el;
+            if (el._spxRefInFor) {
+                (refs[name] = refs[name] || []).push(value);
+            } else {
+                refs[name] = value;
             }
+        });
+    }
+
+    _runPatch(patchFn) {
+        if (this._patchSession) return patchFn();
+
+        const session = this._patchSession = {
+            nodeMap: new Map(),
+            inserted: [],
+            removed: [],
+            hostUpdates: [],
+            directiveUpdates: []
+        };
+        try {
+            patchFn();
+        } finally {
+            this._patchSession = null;
         }
-        this._callHook('afterComponentCreate', componentInstance._templateContext, componentInstance);
+        this._finalizePatch(session);
+    }
 
-        const contentFragment = this._compileComponentTemplate(componentInstance);
-        hostElement.innerHTML = '';
-        hostElement.appendChild(contentFragment);
+    _finalizePatch(session) {
+        session.removed.forEach(node => {
+            if (node.nodeType !== Node.ELEMENT_NODE) return;
+            this._unbindDirectivesWithin(node);
+            this._clearModelTimersWithin(node);
+            const hosts = Array.from(node.querySelectorAll('[data-spx-id]'));
+            if (node.hasAttribute('data-spx-id')) hosts.unshift(node);
+            hosts.forEach(host => {
+                if (host._spandrixComponent) this._destroyComponent(host._spandrixComponent);
+            });
+        });
 
-        this._callHook('beforeComponentMount', componentInstance._templateContext, componentInstance);
-        Promise.resolve().then(() => {
-            if (!componentInstance._destroyed && document.body.contains(hostElement)) {
-                componentInstance._mounted = true;
-                if (componentDef.mounted) {
-                    try {
-                        componentDef.mounted.call(componentInstance._templateContext);
-                    } catch (e) {
-                        console.error(`Error in <${tagName}> mounted():`, e);
-                    }
-                }
-                this._callHook('afterComponentMount', componentInstance._templateContext, componentInstance);
+        const replacedElements = new Set(session.nodeMap.values());
+        const removedRoots = new Set(session.removed);
+        const isWithinRemoved = (el) => {
+            for (let current = el; current; current = current.parentNode) {
+                if (removedRoots.has(current)) return true;
+            }
+            return false;
+        };
+
+        this._eventListeners = this._eventListeners.filter(listener => {
+            const { element, type, handler, options } = listener;
+            if (replacedElements.has(element) || isWithinRemoved(element)) {
+                element.removeEventListener(type, handler, options);
+                return false;
+            }
+            const liveElement = session.nodeMap.get(element);
+            if (liveElement) {
+                element.removeEventListener(type, handler, options);
+                liveElement.addEventListener(type, handler, options);
+                listener.element = liveElement;
             }
+            return true;
         });
+
+        session.hostUpdates.forEach(({ liveNode, freshNode }) => this._updateComponentHost(liveNode, freshNode));
+        session.directiveUpdates.forEach(el => this._applyPendingDirectives(el));
+        session.inserted.forEach(node => this._mountPendingNodes(node));
     }
 
-    _captureAndProcessSlots(hostElement, parentDataContext, parentComponentInstance, parentLoopScope) {
-        const capturedSlots = { default: [] };
-        const tempFragmentForOriginalContent = document.createDocumentFragment();
-        
-        while (hostElement.firstChild) {
-            tempFragmentForOriginalContent.appendChild(hostElement.firstChild);
+    _isSameRenderedNode(liveNode, freshNode) {
+        if (liveNode.nodeType !== freshNode.nodeType) return false;
+        if (liveNode.nodeType !== Node.ELEMENT_NODE) return true;
+        if (liveNode.tagName !== freshNode.tagName || liveNode._spxKey !== freshNode._spxKey) return false;
+
+        if (freshNode._spxPendingComponent) {
+            const instance = liveNode._spandrixComponent;
+            return !!instance && !instance._destroyed &&
+                instance._componentDef._name === freshNode._spxPendingComponent.tagName;
         }
+        if (liveNode._spandrixComponent) return false;
 
-        Array.from(tempFragmentForOriginalContent.childNodes).forEach(originalNode => {
-            if (originalNode.nodeType === Node.TEXT_NODE && 
-                originalNode.nodeValue.trim() === '') {
-                return;
+        return liveNode.getAttribute('type') === freshNode.getAttribute('type');
+    }
+
+    _patchChildren(liveParent, freshParent) {
+        this._runPatch(() => this._patchNodeList(
+            liveParent,
+            Array.from(liveParent.childNodes),
+            Array.from(freshParent.childNodes)
+        ));
+    }
+
+    _patchNodeList(parentNode, liveNodes, freshNodes, afterNode = null) {
+        const session = this._patchSession;
+        const keyedLive = new Map();
+        const unkeyedLive = [];
+
+        liveNodes.forEach(node => {
+            if (node._spxKey !== undefined && !keyedLive.has(node._spxKey)) {
+                keyedLive.set(node._spxKey, node);
+            } else {
+                unkeyedLive.push(node);
             }
+        });
 
-            let slotName = 'default';
-            let isTemplateSlotSyntax = false;
+        const reused = new Set();
+        let unkeyedIndex = 0;
+        const finalNodes = freshNodes.map(freshNode => {
+            let liveNode;
+            if (freshNode._spxKey !== undefined) {
+                liveNode = keyedLive.get(freshNode._spxKey);
+                keyedLive.delete(freshNode._spxKey);
+            } else {
+                liveNode = unkeyedLive[unkeyedIndex++];
+            }
 
-            if (originalNode.nodeType === Node.ELEMENT_NODE) {
-                const elTag = originalNode.tagName.toLowerCase();
-                if (elTag === 'template' && 
-                    (originalNode.hasAttribute('slot') || 
-                     originalNode.getAttributeNames().some(attr => 
-                         attr.startsWith('v-slot:') || attr.startsWith('#')))) {
-                    isTemplateSlotSyntax = true;
-                    const slotAttr = originalNode.getAttribute('slot') || 
-                        originalNode.getAttributeNames().find(attr => 
-                            attr.startsWith('v-slot:') || attr.startsWith('#'));
-                    if (slotAttr) {
-                        const nameMatch = slotAttr.match(/^(?:v-slot:|#)?([^=]+)/);
-                        slotName = (nameMatch && nameMatch[1] && nameMatch[1].trim() !== '')
-                            ? nameMatch[1].trim()
-                            : 'default';
-                    }
-                } else if (originalNode.hasAttribute('slot')) {
-                    slotName = originalNode.getAttribute('slot') || 'default';
-                }
+            if (liveNode && !reused.has(liveNode) && this._isSameRenderedNode(liveNode, freshNode)) {
+                reused.add(liveNode);
+                this._patchNode(liveNode, freshNode);
+                return liveNode;
             }
-            
-            slotName = slotName.toLowerCase();
+            session.inserted.push(freshNode);
+            return freshNode;
+        });
 
-            if (!capturedSlots[slotName]) capturedSlots[slotName] = [];
+        liveNodes.forEach(node => {
+            if (reused.has(node)) return;
+            session.removed.push(node);
+            node.remove();
+        });
 
-            const nodesToProcessForSlot = isTemplateSlotSyntax
-                ? Array.from(originalNode.content.childNodes)
-                : [originalNode];
+        let nextNode = afterNode ? afterNode.nextSibling : parentNode.firstChild;
+        finalNodes.forEach(node => {
+            if (node._spxRepeatItemFor && session.nodeMap.has(node._spxRepeatItemFor)) {
+                node._spxRepeatItemFor = session.nodeMap.get(node._spxRepeatItemFor);
+            }
+            if (node === nextNode) {
+                nextNode = nextNode.nextSibling;
+            } else {
+                parentNode.insertBefore(node, nextNode);
+            }
+        });
+    }
 
-            nodesToProcessForSlot.forEach(contentNode => {
-                const clonedNodeForProcessing = contentNode.cloneNode(true);
-                if (clonedNodeForProcessing.nodeType === Node.ELEMENT_NODE) {
-                    clonedNodeForProcessing.removeAttribute('slot');
-                }
+    _patchNode(liveNode, freshNode) {
+        const session = this._patchSession;
 
-                const tempFragmentForProcessing = document.createDocumentFragment();
-                const returnedNodeFromProcess = this._processNode(
-                    clonedNodeForProcessing,
-                    parentComponentInstance ? parentComponentInstance._templateContext : parentDataContext,
-                    parentComponentInstance,
-                    parentLoopScope,
-                    tempFragmentForProcessing
-                );
+        if (liveNode.nodeType !== Node.ELEMENT_NODE) {
+            if (liveNode.nodeValue !== freshNode.nodeValue) liveNode.nodeValue = freshNode.nodeValue;
+            if (freshNode._spxRepeatTemplate) {
+                liveNode._spxRepeatTemplate = freshNode._spxRepeatTemplate;
+                liveNode._spxRepeatKey = freshNode._spxRepeatKey;
+            }
+            session.nodeMap.set(freshNode, liveNode);
+            return;
+        }
 
-                if (tempFragmentForProcessing.hasChildNodes()) {
-                    Array.from(tempFragmentForProcessing.childNodes).forEach(finalNode => {
-                        capturedSlots[slotName].push(finalNode);
-                    });
-                } else if (returnedNodeFromProcess && returnedNodeFromProcess.nodeType !== undefined) {
-                    capturedSlots[slotName].push(returnedNodeFromProcess);
-                }
-            });
+        Array.from(liveNode.attributes).forEach(({ name }) => {
+            if (!freshNode.hasAttribute(name) && !(name === 'data-spx-id' && liveNode._spandrixComponent)) {
+                liveNode.removeAttribute(name);
+            }
+        });
+        Array.from(freshNode.attributes).forEach(({ name, value }) => {
+            if (liveNode.getAttribute(name) !== value) liveNode.setAttribute(name, value);
+        });
+
+        if (freshNode._spxRepeatItemFor) {
+            liveNode._spxRepeatItemFor = session.nodeMap.get(freshNode._spxRepeatItemFor) ||
+                freshNode._spxRepeatItemFor;
+        }
+        ['_spxRefOwner', '_spxRefInFor'].forEach(prop => {
+            if (freshNode[prop] !== undefined) liveNode[prop] = freshNode[prop];
+            else delete liveNode[prop];
         });
 
-        return capturedSlots;
+        if (freshNode._spxPendingComponent) {
+            session.hostUpdates.push({ liveNode, freshNode });
+            return;
+        }
+
+        session.nodeMap.set(freshNode, liveNode);
+        ['_spx_event_listeners', '_spx_data_model_handler', '_spx_data_model_event_type',
+            '_spx_data_model_modifiers', '_spx_static_class']
+            .forEach(prop => {
+                if (freshNode[prop] !== undefined) liveNode[prop] = freshNode[prop];
+                else delete liveNode[prop];
+            });
+        if (freshNode._spxPendingDirectives || liveNode._spxDirectives) {
+            liveNode._spxPendingDirectives = freshNode._spxPendingDirectives || [];
+            session.directiveUpdates.push(liveNode);
+        }
+
+        if (liveNode.tagName !== 'TEMPLATE') {
+            this._patchNodeList(liveNode, Array.from(liveNode.childNodes), Array.from(freshNode.childNodes));
+        }
+        this._syncFormState(liveNode, freshNode);
     }
 
-    _compileComponentTemplate(componentInstance) {
-        const componentDef = componentInstance._componentDef;
-        const templateString = typeof componentDef.template === 'function'
-            ? componentDef.template.call(componentInstance._templateContext)
-            : componentDef.template;
+    _syncFormState(liveNode, freshNode) {
+        const isControlled = freshNode._spx_data_model_handler ||
+            ['data-bind:value', 'data-bind:checked', ':value', ':checked'].some(attr => freshNode.hasAttribute(attr));
+        if (!isControlled) return;
 
-        const tempDiv = document.createElement('div');
-        tempDiv.innerHTML = this.convertToSpandrixSyntax(templateString);
-        const fragment = document.createDocumentFragment();
+        if (liveNode.tagName === 'SELECT') {
+            Array.from(freshNode.options).forEach((option, idx) => {
+                const liveOption = liveNode.options[idx];
+                if (liveOption && liveOption.selected !== option.selected) liveOption.selected = option.selected;
+            });
+        } else if (liveNode.type === 'checkbox' || liveNode.type === 'radio') {
+            if (liveNode.checked !== freshNode.checked) liveNode.checked = freshNode.checked;
+        } else if ('value' in liveNode) {
+            const previousRenderedValue = liveNode._spxRenderedValue;
+            liveNode._spxRenderedValue = freshNode.value;
+            if (liveNode.value === freshNode.value) return;
+
+            const modifiers = freshNode._spx_data_model_modifiers || [];
+            const castLiveValue = modifiers.includes('number')
+                ? String(parseFloat(liveNode.value))
+                : (modifiers.includes('trim') ? liveNode.value.trim() : liveNode.value);
+            const isBeingEdited = liveNode.ownerDocument.activeElement === liveNode &&
+                (previousRenderedValue === freshNode.value || castLiveValue === freshNode.value);
+            if (!isBeingEdited) liveNode.value = freshNode.value;
+        }
+    }
 
-        Array.from(tempDiv.childNodes).forEach(node => {
-            const processed = this._processNode(
-                node.cloneNode(true),
-                componentInstance._templateContext,
-                componentInstance,
-                {},
-                fragment
-            );
-            fragment.appendChild(processed);
+    _updateComponentHost(hostElement, freshHost) {
+        const instance = hostElement._spandrixComponent;
+        const pending = freshHost._spxPendingComponent;
+        if (!instance || instance._destroyed) return;
+
+        const contextChanged = instance._parentDataContext !== pending.dataContext;
+        instance._parentDataContext = pending.dataContext;
+        instance._parentLoopScope = pending.loopScope;
+
+        const { slots, scopedSlots } = this._captureAndProcessSlots(
+            freshHost,
+            pending.dataContext,
+            pending.componentInstance,
+            pending.loopScope
+        );
+        const slotsChanged = this._slotsSignature(slots, scopedSlots) !==
+            this._slotsSignature(instance.$slots, instance.$scopedSlots);
+        if (slotsChanged) instance.$slots = slots;
+        instance.$scopedSlots = scopedSlots;
+        const scopedContextChanged = contextChanged && Object.keys(scopedSlots).length > 0;
+
+        this._renderComponent(
+            hostElement,
+            pending.tagName,
+            pending.dataContext,
+            pending.componentInstance,
+            pending.loopScope
+        );
+        if (slotsChanged || scopedContextChanged) this._queueUpdate(instance);
+    }
+
+    _updateProvided(componentInstance) {
+        if (componentInstance._destroyed) return;
+        const provide = componentInstance._componentDef.provide;
+        const values = this._runEffect(componentInstance._provideEffect, () => (typeof provide === 'function'
+            ? provide.call(componentInstance._templateContext)
+            : provide)) || {};
+
+        const provided = componentInstance._provided;
+        Object.keys(values).forEach(key => {
+            if (key in provided && provided[key] === values[key]) return;
+            provided[key] = values[key];
+            this._triggerDependents(provided, key);
         });
+    }
 
-        const slotElements = fragment.querySelectorAll('slot');
-        slotElements.forEach(slotEl => {
-            const slotName = (slotEl.getAttribute('name') || 'default').toLowerCase();
-            const assignedNodes = componentInstance.$slots[slotName] || [];
+    _resolveInjections(componentInstance) {
+        const inject = componentInstance._componentDef.inject;
+        if (!inject) return null;
+
+        const entries = Array.isArray(inject)
+            ? inject.map(name => [name, { from: name }])
+            : Object.entries(inject).map(([name, option]) => [
+                name,
+                typeof option === 'string' ? { from: option } : { from: name, ...option }
+            ]);
+
+        const injections = {};
+        entries.forEach(([name, option]) => {
+            const from = option.from || name;
+            let provider = componentInstance._parentComponentInstance;
+            while (provider && !(provider._provided && Object.prototype.hasOwnProperty.call(provider._provided, from))) {
+                provider = provider._parentComponentInstance;
+            }
 
-            if (assignedNodes.length > 0) {
-                assignedNodes.forEach(n => {
-                    const clone = n.cloneNode(true);
-                    slotEl.parentNode.insertBefore(clone, slotEl);
-                });
+            if (provider) {
+                injections[name] = { provider, key: from };
+            } else if ('default' in option) {
+                const defaultValue = option.default;
+                injections[name] = {
+                    value: typeof defaultValue === 'function' ? defaultValue.call(componentInstance) : defaultValue
+                };
+            } else {
+                console.warn(`Spandrix: Injection "${from}" not found for <${componentInstance._componentDef._name}>.`);
+                injections[name] = { value: undefined };
             }
-            slotEl.remove();
         });
+        return injections;
+    }
 
-        return fragment;
+    _getInjectedValue(componentInstance, name) {
+        const injection = componentInstance._injections[name];
+        if (!injection.provider) return injection.value;
+        const provided = injection.provider._provided;
+        if (!provided) return undefined;
+        this._trackDependency(provided, injection.key);
+        return provided[injection.key];
+    }
+
+    _slotsSignature(slots, scopedSlots = {}) {
+        const prefix = this.options.componentIdPrefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const generatedIds = new RegExp(`${prefix}\\d+`, 'g');
+        const scopedSignature = Object.keys(scopedSlots || {}).sort().map(name =>
+            name + ':' + scopedSlots[name].signature
+        ).join('|');
+        return Object.keys(slots || {}).sort().map(name =>
+            name + ':' + slots[name].map(node => node.outerHTML ?? node.nodeValue).join('')
+        ).join('|').replace(generatedIds, '') + '||' + scopedSignature;
     }
 
     _updateComputedProperties(componentInstance, specificKey = null) {
@@ -2034,7 +4395,7 @@ class SpandrixEngine {
             const computedWatcher = componentInstance._computedWatchers[key];
             if (computedWatcher && typeof computedWatcher.fn === 'function') {
                 const oldVal = componentInstance._computedValuesCache[key];
-                const newVal = computedWatcher.fn.call(contextToCall);
+                const newVal = this._runEffect(computedWatcher.effect, () => computedWatcher.fn.call(contextToCall));
 
                 if (JSON.stringify(oldVal) !== JSON.stringify(newVal)) {
                     componentInstance._computedValuesCache[key] = newVal;
@@ -2069,6 +4430,8 @@ class SpandrixEngine {
                             );
                         }
                     }
+
+                    this._triggerDependents(componentInstance._computedValuesCache, key);
                 }
                 computedWatcher.isFresh = true;
             }
@@ -2098,26 +4461,35 @@ class SpandrixEngine {
             componentInstance.$el._spxSyncListeners = [];
         }
 
+        this._unbindDirectivesWithin(componentInstance.$el);
+        this._clearModelTimersWithin(componentInstance.$el);
         this._cleanupEventListenersBoundWithin(compId);
+        if (componentInstance.$refs) {
+            Object.keys(componentInstance.$refs).forEach(name => delete componentInstance.$refs[name]);
+        }
 
         componentInstance._destroyed = true;
+        this._stopEffect(componentInstance._renderEffect);
+        Object.values(componentInstance._computedWatchers || {}).forEach(w => this._stopEffect(w.effect));
+        this._stopEffect(componentInstance._provideEffect);
+        this._unmountComponentStyle(compDef);
 
         if (componentInstance.$el) {
             const propsToClean = [
-                '_spxIfPlaceholderNode', '_spxIfOriginalTemplateNode', '_spxIfWatchersAttached',
                 '_spandrixComponent', '_spxRepeatAnchor', '_spx_event_listeners',
-                '_spx_data_model_handler', '_spx_data_model_event_type', '_spx_static_class',
+                '_spx_data_model_handler', '_spx_data_model_event_type', '_spx_data_model_modifiers', '_spx_static_class',
                 '_spxLastFetchId', '_spxLastFetchCompletedSuccessfully', '_spxProcessedSignature',
                 '_spx_node_is_fetching_this_request_id'
             ];
             propsToClean.forEach(prop => delete componentInstance.$el[prop]);
             componentInstance.$el.removeAttribute('data-spx-id');
-            componentInstance.$el.innerHTML = '';
+            componentInstance.$el.textContent = '';
         }
 
         const nullifyProps = [
             '$el', '$props', '_componentData', '_watchers', '_computedWatchers',
-            '_computedValuesCache', '$refs', '$slots', '_templateContext',
+            '_computedValuesCache', '_renderEffect', '_provided', '_provideEffect', '_injections',
+            '$refs', '$slots', '$scopedSlots', '_templateContext',
             '_parentDataContext', '_parentComponentInstance', '_parentLoopScope'
         ];
         nullifyProps.forEach(prop => componentInstance[prop] = null);
@@ -2172,6 +4544,11 @@ class SpandrixEngine {
         };
     }
 
+    _isContentEditable(el) {
+        const editable = el.getAttribute('contenteditable');
+        return editable !== null && editable !== 'false';
+    }
+
     _camelCase(str) {
         return String(str)
             .replace(/[-_]+(.)?/g, (_, c) => c ? c.toUpperCase() : '')
@@ -2205,93 +4582,65 @@ class SpandrixEngine {
         );
         
         processedTemplate = processedTemplate.replace(/\bv-if=/g, 'data-if=');
+        processedTemplate = processedTemplate.replace(/\bv-else-if=/g, 'data-else-if=');
+        processedTemplate = processedTemplate.replace(/\bv-else\b(?![-=\w])/g, 'data-else');
         processedTemplate = processedTemplate.replace(/\bv-show=/g, 'data-show=');
         processedTemplate = processedTemplate.replace(
             /\bv-for="([^"]*)"/g,
             (match, expression) => `data-repeat="${expression}"`
         );
-        processedTemplate = processedTemplate.replace(/\bv-model=/g, 'data-model=');
+        processedTemplate = processedTemplate.replace(
+            /\bv-model((?:\.[\w-]+)*)=/g,
+            (match, modifiers) => `data-model${modifiers}=`
+        );
         
         return processedTemplate;
     }
 
-    _updateComponentsUsingGlobalStateOrGlobalData() {
-        this._logDebug('Checking components for global state/data changes.');
-        
-        document.querySelectorAll('[data-spx-id]').forEach(el => {
-            const compInstance = el._spandrixComponent;
-            if (compInstance && !compInstance._destroyed && compInstance._mounted) {
-                let usesGlobal = false;
-                const templateString = typeof compInstance._componentDef.template === 'function'
-                    ? compInstance._componentDef.template.call(compInstance._templateContext)
-                    : (compInstance._componentDef.template || '');
-                
-                if (templateString.includes('$state') || 
-                    templateString.includes('globalData') ||
-                    this._expressionUsesGlobal(
-                        templateString,
-                        compInstance._componentDef.computed,
-                        this.globalData,
-                        this.$state
-                    )) {
-                    usesGlobal = true;
-                }
-
-                if (usesGlobal) {
-                    this._logDebug(
-                        `Updating <${compInstance._componentDef._name}> ` +
-                        `(${compInstance._componentId}) due to global change.`
-                    );
-                    compInstance.$update();
-                }
-            }
-        });
+    _scheduleRootReRender() {
+        this._queueUpdate(this._rootUpdateJob);
+    }
 
-        if (this.root && this._currentRootTemplateString &&
-            (this._currentRootTemplateString.includes('$state') ||
-             this._currentRootTemplateString.includes('globalData') ||
-             this._expressionUsesGlobal(
-                 this._currentRootTemplateString,
-                 null,
-                 this.globalData,
-                 this.$state
-             ))) {
-            this._logDebug('Global change triggered root re-render.');
-            this._scheduleRootReRender();
+    _queueUpdate(job) {
+        if (job._destroyed || this._updateQueue.has(job)) return;
+        this._updateQueue.add(job);
+        if (!this._flushPromise) {
+            this._flushPromise = Promise.resolve().then(() => this._flushUpdateQueue());
         }
     }
 
-    _expressionUsesGlobal(template, computedProps, globalData, state) {
-        const checkString = (str) => {
-            if (str.includes('$state')) return true;
-            if (str.includes('globalData')) return true;
-            for (const key in globalData) {
-                if (str.includes(key)) return true;
-            }
-            return false;
-        };
-        
-        if (checkString(template)) return true;
-        
-        if (computedProps) {
-            for (const key in computedProps) {
-                if (checkString(computedProps[key].toString())) return true;
+    _flushUpdateQueue() {
+        const runCounts = new Map();
+        try {
+            while (this._updateQueue.size) {
+                let job = null;
+                this._updateQueue.forEach(candidate => {
+                    if (!job || candidate._depth < job._depth) job = candidate;
+                });
+                this._updateQueue.delete(job);
+
+                const runs = (runCounts.get(job) || 0) + 1;
+                runCounts.set(job, runs);
+                if (runs > 100) {
+                    console.warn('Spandrix: Possible infinite update loop detected. Skipping further updates for this flush.');
+                    continue;
+                }
+
+                try {
+                    if (job === this._rootUpdateJob) job.run();
+                    else job.$update();
+                } catch (error) {
+                    console.error("Spandrix: Error during scheduled update:", error);
+                }
             }
+        } finally {
+            this._flushPromise = null;
         }
-        return false;
     }
 
-    _scheduleRootReRender() {
-        if (this._rootRerenderScheduled) return;
-        
-        this._rootRerenderScheduled = true;
-        Promise.resolve().then(() => {
-            this._rootRerenderScheduled = false;
-            this._reRenderRoot(this._currentRootTemplateString, this._currentRootData);
-        }).catch(error => {
-            console.error("Spandrix: Error in scheduled root re-render:", error);
-            this._rootRerenderScheduled = false;
-        });
+    nextTick(callback) {
+        const promise = this._flushPromise || Promise.resolve();
+        return callback ? promise.then(() => callback()) : promise;
     }
 
     _reRenderRoot(templateString, dataForRootProxy) {
@@ -2304,39 +4653,41 @@ class SpandrixEngine {
             this._logDebug('Re-rendering root.');
             this._callHook('beforeRootRender', this, templateString, dataForRootProxy);
 
-            Array.from(this.root.querySelectorAll('[data-spx-id]')).forEach(el => {
-                if (el._spandrixComponent) {
-                    this._destroyComponent(el._spandrixComponent);
-                }
-            });
-
-            const processedRootTemplateString = this.convertToSpandrixSyntax(templateString);
-            const tempContainer = document.createElement('div');
-            tempContainer.innerHTML = processedRootTemplateString;
+            this._runEffect(this._rootRenderEffect, () => {
+                const processedRootTemplateString = this.convertToSpandrixSyntax(templateString);
+                const tempContainer = document.createElement('div');
+                this._setInnerHTML(tempContainer, processedRootTemplateString);
 
-            const fragmentToAppend = document.createDocumentFragment();
-            Array.from(tempContainer.childNodes).forEach(childNode => {
-                const clonedChild = childNode.cloneNode(true);
-                delete clonedChild._spxProcessedSignature;
-                
-                if (clonedChild.querySelectorAll) {
-                    clonedChild.querySelectorAll('*').forEach(desc => {
-                        delete desc._spxProcessedSignature;
-                    });
-                }
+                const fragmentToAppend = document.createDocumentFragment();
+                Array.from(tempContainer.childNodes).forEach(childNode => {
+                    const clonedChild = childNode.cloneNode(true);
+                    delete clonedChild._spxProcessedSignature;
                 
-                const processedChild = this._processNode(
-                    clonedChild,
-                    dataForRootProxy,
-                    null,
-                    {},
-                    fragmentToAppend
-                );
-                fragmentToAppend.appendChild(processedChild);
-            });
+                    if (clonedChild.querySelectorAll) {
+                        clonedChild.querySelectorAll('*').forEach(desc => {
+                            delete desc._spxProcessedSignature;
+                        });
+                    }
+
+                    fragmentToAppend.appendChild(clonedChild);
+                });
+                Array.from(fragmentToAppend.childNodes).forEach(clonedChild => {
+                    if (clonedChild.parentNode !== fragmentToAppend) return;
+                    const processedChild = this._processNode(
+                        clonedChild,
+                        dataForRootProxy,
+                        null,
+                        {},
+                        fragmentToAppend
+                    );
+                    if (processedChild.parentNode !== fragmentToAppend) {
+                        fragmentToAppend.appendChild(processedChild);
+                    }
+                });
 
-            this.root.innerHTML = '';
-            this.root.appendChild(fragmentToAppend);
+                this._patchChildren(this.root, fragmentToAppend);
+            });
+            this._updateRefs(this.$refs, this.root, null);
             
             this._callHook('afterRootRender', this, templateString, dataForRootProxy);
             this._logDebug('Root re-render complete.');
@@ -2365,8 +4716,9 @@ class SpandrixEngine {
         );
         this._currentRootDataTarget = newRootData;
 
-        this._currentRootTemplateString = templateString || 
-            this.root.innerHTML || 
+        this._currentRootTemplateString = templateString ||
+            this._currentRootTemplateString ||
+            this.root.innerHTML ||
             this._originalRootTemplate;
         
         if (!this._currentRootTemplateString && this.root) {
@@ -2464,7 +4816,10 @@ class SpandrixEngine {
             .catch(err => {
                 console.error(`Spandrix: Failed to render from URL "${url}".`, err);
                 if (this.root) {
-                    this.root.innerHTML = `<p style="color:red;">Error loading data from ${url}. Check console.</p>`;
+                    const errorMessage = document.createElement('p');
+                    errorMessage.style.color = 'red';
+                    errorMessage.textContent = `Error loading data from ${url}. Check console.`;
+                    this.root.replaceChildren(errorMessage);
                 }
                 throw err;
             });
@@ -2531,13 +4886,19 @@ class SpandrixEngine {
                         this.$emit('click', event);
                     }
                 }
-            }
+            },
+            style: `
+                .x-button { padding: 6px 14px; border: 1px solid #ccc; border-radius: 4px; background: #fff; font: inherit; cursor: pointer; }
+                .x-button:hover:not(:disabled) { background: #f3f3f3; }
+                .x-button:disabled { opacity: 0.6; cursor: not-allowed; }
+            `,
+            scoped: true
         });
 
         this.registerComponent('x-modal', {
             template: `
-                <div class="x-modal-overlay" data-if="isOpen" data-on:click="handleOverlayClick">
-                    <div class="x-modal-content" data-on:click="stopPropagation">
+                <div class="x-modal-overlay" data-if="isOpen" data-on:click.self="handleOverlayClick">
+                    <div class="x-modal-content" data-on:click.stop>
                         <header class="x-modal-header" data-if="!hideHeader">
                             <slot name="header"><h2>{{ title }}</h2></slot>
                             <button class="x-modal-close" data-on:click="close" data-if="showCloseButton">&times;</button>
@@ -2562,20 +4923,29 @@ class SpandrixEngine {
                     this.$emit('update:isOpen', false);
                     this.$emit('close');
                 },
-                handleOverlayClick(event) {
-                    if (this.closeOnClickOverlay && event.target === event.currentTarget) {
+                handleOverlayClick() {
+                    if (this.closeOnClickOverlay) {
                         this.close();
                     }
-                },
-                stopPropagation(event) {
-                    event.stopPropagation();
                 }
             },
             watch: {
                 isOpen(newVal) {
                     if (newVal) this.$emit('open');
                 }
-            }
+            },
+            style: `
+                .x-modal-overlay { position: fixed; inset: 0; display: flex; align-items: center; justify-content: center; background: rgba(0, 0, 0, 0.5); z-index: 1000; }
+                .x-modal-content { min-width: 300px; max-width: 90vw; max-height: 90vh; overflow: auto; background: #fff; border-radius: 6px; box-shadow: 0 8px 24px rgba(0, 0, 0, 0.2); }
+                .x-modal-header, .x-modal-footer { display: flex; align-items: center; justify-content: space-between; padding: 12px 16px; }
+                .x-modal-header { border-bottom: 1px solid #eee; }
+                .x-modal-header h2 { margin: 0; font-size: 1.2em; }
+                .x-modal-footer { justify-content: flex-end; gap: 8px; border-top: 1px solid #eee; }
+                .x-modal-footer:empty { display: none; }
+                .x-modal-body { padding: 16px; }
+                .x-modal-close { border: none; background: none; font-size: 1.5em; line-height: 1; cursor: pointer; }
+            `,
+            scoped: true
         });
 
         this.registerComponent('x-input', {
@@ -2657,30 +5027,62 @@ class SpandrixEngine {
                     this.visible = false;
                     this.$emit('close');
                 }
-            }
+            },
+            style: `
+                .x-alert { display: flex; align-items: flex-start; gap: 8px; padding: 10px 14px; border: 1px solid; border-radius: 4px; }
+                .x-alert-info { background: #e8f4fd; border-color: #b6dcf7; }
+                .x-alert-success { background: #eaf7ec; border-color: #b7e1bd; }
+                .x-alert-warning { background: #fff8e5; border-color: #f5dc99; }
+                .x-alert-error { background: #fdecea; border-color: #f5b9b2; }
+                .x-alert-content { flex: 1; }
+                .x-alert-close { border: none; background: none; font-size: 1.2em; line-height: 1; cursor: pointer; }
+            `,
+            scoped: true
         });
     }
 
+    _createPerformanceMetrics() {
+        return {
+            renders: 0,
+            updates: 0,
+            avgRenderTime: 0,
+            expressionCacheHits: 0,
+            expressionCacheMisses: 0
+        };
+    }
+
     getPerformanceMetrics() {
-        return { ...this._performanceMetrics };
+        return {
+            ...this._performanceMetrics,
+            expressionCacheSize: this._expressionCache.size
+        };
     }
 
     resetPerformanceMetrics() {
-        this._performanceMetrics = { renders: 0, updates: 0, avgRenderTime: 0 };
+        this._performanceMetrics = this._createPerformanceMetrics();
     }
 
     destroy() {
         this._logDebug('Destroying SpandrixEngine instance.');
+        this._unbindDirectivesWithin(this.root);
+        this._clearModelTimersWithin(this.root);
         document.querySelectorAll('[data-spx-id]').forEach(el => {
             if (el._spandrixComponent) {
                 this._destroyComponent(el._spandrixComponent);
             }
         });
+        this._stopEffect(this._rootRenderEffect);
+        this._updateQueue.clear();
         this._cleanupAllEventListeners();
         this._fetchCache.clear();
+        this._expressionCache.clear();
+        this._expressionIdentifierCache.clear();
+        this._filterChainCache.clear();
+        this._asyncFilterResults.clear();
         this._stateWatchers = [];
+        Object.keys(this.$refs).forEach(name => delete this.$refs[name]);
         if (this.root) {
-            this.root.innerHTML = '';
+            this.root.textContent = '';
         }
         this._logDebug('SpandrixEngine instance destroyed.');
     }
@@ -0,0 +1,51 @@
+import { SpandrixEngine } from '../src/templateEngine.js';
+import { test, assertEqual, mount, tick, captureConsole } from './harness.js';
+
+test('a rejected async filter is retried on the next render', async () => {
+    const container = mount();
+    const engine = new SpandrixEngine(`#${container.id}`);
+    let calls = 0;
+    engine.registerFilter('lookup', id => {
+        calls++;
+        return calls === 1 ? Promise.reject(new Error('offline')) : Promise.resolve(`Label ${id}`);
+    });
+
+    await captureConsole('error', async () => {
+        engine.applyData({ id: 7, other: 1 }, `<p>{{ id | lookup }}</p><i>{{ other }}</i>`);
+        await tick(10);
+    });
+    engine.applyData({ id: 7, other: 2 });
+    await tick(10);
+
+    assertEqual(calls, 2, 'Filter was called again');
+    assertEqual(container.querySelector('p').textContent, 'Label 7', 'Resolved value is shown');
+});
+
+test('sync filters do not serialize their input', async () => {
+    const container = mount();
+    const engine = new SpandrixEngine(`#${container.id}`);
+    let serialized = 0;
+    engine.registerFilter('name', item => item.name);
+    engine.applyData({
+        item: { name: 'Ann', toJSON() { serialized++; return {}; } }
+    }, `<p>{{ item | name }}</p>`);
+    await tick();
+
+    assertEqual(container.querySelector('p').textContent, 'Ann', 'Filter output is rendered');
+    assertEqual(serialized, 0, 'Input was never passed to JSON.stringify');
+});
+
+test('attribute bindings show the placeholder while a filter is pending', async () => {
+    const container = mount();
+    const engine = new SpandrixEngine(`#${container.id}`, { asyncPlaceholder: 'loading' });
+    let resolveLabel;
+    engine.registerFilter('label', () => new Promise(resolve => { resolveLabel = resolve; }));
+    engine.applyData({ id: 1 }, `<a :title="id | label">link</a>`);
+    await tick();
+
+    const link = container.querySelector('a');
+    assertEqual(link.getAttribute('title'), 'loading', 'Placeholder while pending');
+    resolveLabel('Done');
+    await tick();
+    assertEqual(container.querySelector('a').getAttribute('title'), 'Done', 'Resolved value after settle');
+});
@@ -0,0 +1,69 @@
+import { SpandrixEngine } from '../src/templateEngine.js';
+import { test, assert, assertEqual, mount, tick } from './harness.js';
+
+const render = async (data, template, bindingPolicy = {}) => {
+    const container = mount();
+    const engine = new SpandrixEngine(`#${container.id}`, { bindingPolicy });
+    engine.applyData(data, template);
+    await tick();
+    return container;
+};
+
+test('bound URL attributes with unsafe protocols are removed', async () => {
+    const container = await render({
+        link: ' JaVa\tScript:alert(1)',
+        image: 'data:text/html;base64,PHNjcmlwdD4=',
+        sources: 'a.png 1x, javascript:alert(1) 2x',
+        safe: 'https://example.com/'
+    }, `
+        <a class="bad" :href="link">bad</a>
+        <img class="data" :src="image">
+        <img class="set" :srcset="sources">
+        <a class="good" :href="safe">good</a>
+    `);
+
+    assert(!container.querySelector('.bad').hasAttribute('href'), 'Obfuscated javascript: href is removed');
+    assert(!container.querySelector('.data').hasAttribute('src'), 'data: src is removed');
+    assert(!container.querySelector('.set').hasAttribute('srcset'), 'srcset with a javascript: entry is removed');
+    assertEqual(container.querySelector('.good').getAttribute('href'), 'https://example.com/', 'Safe URL is kept');
+});
+
+test('interpolated URL attributes are checked too', async () => {
+    const container = await render(
+        { u: 'javascript:alert(1)', ok: '/home' },
+        `<a class="bad" href="{{ u }}">bad</a><a class="good" href="{{ ok }}">good</a>`
+    );
+    assert(!container.querySelector('.bad').hasAttribute('href'), 'Interpolated javascript: href is removed');
+    assertEqual(container.querySelector('.good').getAttribute('href'), '/home', 'Relative URL is kept');
+});
+
+test('event handler attributes cannot be bound', async () => {
+    window.__spxBound = 0;
+    const container = await render(
+        { code: 'window.__spxBound++' },
+        `<button class="a" :onclick="code">a</button><div class="b" data-bind:OnMouseOver="code">b</div>`
+    );
+    const button = container.querySelector('.a');
+    const div = container.querySelector('.b');
+    assert(!button.hasAttribute('onclick'), ':onclick is not written');
+    assert(!div.hasAttribute('onmouseover'), 'data-bind:OnMouseOver is not written');
+    button.click();
+    assertEqual(window.__spxBound, 0, 'No handler ran');
+});
+
+test('onViolation receives each neutralized binding', async () => {
+    const violations = [];
+    await render(
+        { link: 'javascript:void 0', code: 'x()' },
+        `<a :href="link">a</a><button :onclick="code">b</button>`,
+        { onViolation: violation => violations.push(violation) }
+    );
+
+    assertEqual(violations.length, 2, 'Both bindings were reported');
+    const hrefViolation = violations.find(v => v.attribute === 'href');
+    assert(hrefViolation, 'href violation is reported');
+    assertEqual(hrefViolation.value, 'javascript:void 0', 'Value is passed');
+    assertEqual(hrefViolation.element.tagName, 'A', 'Element is passed');
+    assert(/protocol/.test(hrefViolation.reason), 'Reason names the protocol');
+    assert(violations.some(v => v.attribute.toLowerCase() === 'onclick'), 'onclick violation is reported');
+});
@@ -0,0 +1,84 @@
+import { SpandrixEngine } from '../src/templateEngine.js';
+import { test, assert, assertEqual, mount, tick } from './harness.js';
+
+test('data-repeat on a component host renders one instance per item', async () => {
+    const container = mount();
+    const engine = new SpandrixEngine(`#${container.id}`);
+    engine.registerComponent('repeat-item', {
+        template: `<span class="item">{{ label }}</span>`,
+        props: ['label']
+    });
+    engine.applyData(
+        { items: ['a', 'b', 'c'] },
+        `<repeat-item data-repeat="item in items" :label="item" data-ref="rows"></repeat-item>`
+    );
+    await tick();
+
+    const labels = [...container.querySelectorAll('.item')].map(el => el.textContent);
+    assertEqual(labels.join(','), 'a,b,c', 'Each item rendered its own instance');
+    assert(Array.isArray(engine.$refs.rows), 'Repeated refs are collected into an array');
+    assertEqual(engine.$refs.rows.length, 3, 'One ref per instance');
+
+    engine.applyData({ items: ['a', 'c'] });
+    await tick();
+    const updated = [...container.querySelectorAll('.item')].map(el => el.textContent);
+    assertEqual(updated.join(','), 'a,c', 'Instances follow the list');
+});
+
+test('built-in components inject their own scoped styles', async () => {
+    const container = mount();
+    const engine = new SpandrixEngine(`#${container.id}`);
+    engine.applyData({}, `<x-alert type="success" title="Saved">Done</x-alert>`);
+    await tick();
+
+    const alert = container.querySelector('.x-alert');
+    assert(alert, 'Alert is rendered');
+    assert(alert.hasAttribute('data-spx-scope-x-alert'), 'Alert elements carry the scope attribute');
+    const style = document.head.querySelector('style[data-spx-style="x-alert"]');
+    assert(style, 'Alert styles are injected');
+    assert(style.textContent.includes('.x-alert-success[data-spx-scope-x-alert]'), 'Alert selectors are scoped');
+});
+
+test('an async component inside another component\'s slot mounts after loading', async () => {
+    const container = mount();
+    const engine = new SpandrixEngine(`#${container.id}`);
+    let resolveLoader;
+    engine.registerComponent('slot-box', { template: `<div class="box"><slot></slot></div>` });
+    engine.registerComponent('lazy-label', {
+        loader: () => new Promise(resolve => { resolveLoader = resolve; }),
+        loading: `<i class="loading">Loading</i>`
+    });
+    engine.applyData({ msg: 'hello' }, `<slot-box><lazy-label :msg="msg"></lazy-label></slot-box>`);
+    await tick();
+    assert(container.querySelector('.loading'), 'Loading template is shown');
+
+    resolveLoader({ template: `<b class="label">{{ msg }}</b>`, props: ['msg'] });
+    await tick();
+    await tick();
+
+    assert(!container.querySelector('.loading'), 'Loading template is removed');
+    const label = container.querySelector('.box .label');
+    assert(label, 'Loaded component is rendered inside the slot');
+    assertEqual(label.textContent, 'hello', 'Props are applied');
+
+    engine.applyData({ msg: 'bye' });
+    await tick();
+    assertEqual(container.querySelector('.box .label').textContent, 'bye', 'Props stay reactive');
+});
+
+test('a component registered as a bare loader function loads on first use', async () => {
+    const container = mount();
+    const engine = new SpandrixEngine(`#${container.id}`);
+    let calls = 0;
+    engine.registerComponent('fn-loaded', () => {
+        calls++;
+        return Promise.resolve({ default: { template: `<p class="fn-loaded">{{ label }}</p>`, props: ['label'] } });
+    });
+    engine.applyData({}, `<fn-loaded label="one"></fn-loaded><fn-loaded label="two"></fn-loaded>`);
+    await tick();
+    await tick();
+
+    const labels = [...container.querySelectorAll('.fn-loaded')].map(el => el.textContent);
+    assertEqual(labels.join(','), 'one,two', 'Both hosts render the loaded definition');
+    assertEqual(calls, 1, 'The loader runs once');
+});
@@ -0,0 +1,48 @@
+import { SpandrixEngine } from '../src/templateEngine.js';
+import { test, assertEqual, mount, tick } from './harness.js';
+
+test('data-if, data-else-if and data-else switch between branches', async () => {
+    const container = mount();
+    const engine = new SpandrixEngine(`#${container.id}`);
+    const template = `
+        <div>
+            <p class="branch" data-if="score > 90">A</p>
+            <!-- grade -->
+            <p class="branch" data-else-if="score > 50">B</p>
+            <p class="branch" data-else>C</p>
+            <span class="after">after</span>
+        </div>`;
+    const branches = () => Array.from(container.querySelectorAll('.branch')).map(el => el.textContent).join(',');
+
+    engine.applyData({ score: 95 }, template);
+    await tick();
+    assertEqual(branches(), 'A', 'if branch');
+
+    engine.applyData({ score: 60 });
+    await tick();
+    assertEqual(branches(), 'B', 'else-if branch');
+
+    engine.applyData({ score: 10 });
+    await tick();
+    assertEqual(branches(), 'C', 'else branch');
+
+    engine.applyData({ score: 99 });
+    await tick();
+    assertEqual(branches(), 'A', 'Back to the if branch');
+    assertEqual(container.querySelectorAll('.after').length, 1, 'Following siblings are untouched');
+});
+
+test('a chain without data-else renders nothing when no branch matches', async () => {
+    const container = mount();
+    const engine = new SpandrixEngine(`#${container.id}`);
+    engine.applyData({ kind: 'x' }, `
+        <p data-if="kind === 'a'">a</p>
+        <p data-else-if="kind === 'b'">b</p>
+    `);
+    await tick();
+    assertEqual(container.querySelectorAll('p').length, 0, 'No branch rendered');
+
+    engine.applyData({ kind: 'b' });
+    await tick();
+    assertEqual(container.textContent.trim(), 'b', 'Matching else-if rendered');
+});
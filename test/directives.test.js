@@ -0,0 +1,57 @@
+import { SpandrixEngine } from '../src/templateEngine.js';
+import { test, assert, assertEqual, mount, tick } from './harness.js';
+
+test('custom directive hooks run bind, update and unbind in order', async () => {
+    const container = mount();
+    const engine = new SpandrixEngine(`#${container.id}`);
+    const calls = [];
+    engine.registerDirective('probe', {
+        bind(el, binding) {
+            calls.push({ hook: 'bind', value: binding.value, oldValue: binding.oldValue, connected: el.isConnected });
+        },
+        update(el, binding) {
+            calls.push({ hook: 'update', value: binding.value, oldValue: binding.oldValue });
+        },
+        unbind(el, binding) {
+            calls.push({ hook: 'unbind', value: binding.value });
+        }
+    });
+
+    engine.applyData({ show: true, label: 'a' }, `<p data-if="show" data-probe="label">x</p>`);
+    await tick();
+    assertEqual(calls.length, 1, 'Only bind ran on first render');
+    assertEqual(calls[0].hook, 'bind', 'bind ran first');
+    assertEqual(calls[0].value, 'a', 'bind received the value');
+    assert(calls[0].connected, 'Element was in the DOM on bind');
+
+    engine.applyData({ show: true, label: 'b' });
+    await tick();
+    const update = calls[calls.length - 1];
+    assertEqual(update.hook, 'update', 'update ran on re-render');
+    assertEqual(update.value, 'b', 'update received the new value');
+    assertEqual(update.oldValue, 'a', 'update received the old value');
+
+    engine.applyData({ show: false, label: 'b' });
+    await tick();
+    assertEqual(calls[calls.length - 1].hook, 'unbind', 'unbind ran when the element was removed');
+    assertEqual(calls.filter(call => call.hook === 'bind').length, 1, 'bind ran once');
+});
+
+test('custom directives receive arg, modifiers and expression', async () => {
+    const container = mount();
+    const engine = new SpandrixEngine(`#${container.id}`);
+    let received = null;
+    engine.registerDirective('tooltip', (el, binding, context) => {
+        received = { ...binding, context };
+        el.title = binding.value;
+    });
+
+    engine.applyData({ helpText: 'Help' }, `<span data-tooltip:top.delay="helpText">?</span>`);
+    await tick();
+
+    assertEqual(received.arg, 'top', 'arg is parsed');
+    assertEqual(JSON.stringify(received.modifiers), '{"delay":true}', 'modifiers are parsed');
+    assertEqual(received.expression, 'helpText', 'expression is passed');
+    assertEqual(received.context.helpText, 'Help', 'Root data is passed as context');
+    assertEqual(container.querySelector('span').title, 'Help', 'Function handler ran');
+});
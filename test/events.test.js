@@ -0,0 +1,33 @@
+import { SpandrixEngine } from '../src/templateEngine.js';
+import { test, assert, assertEqual, mount, tick } from './harness.js';
+
+test('.once runs the handler once and removes the listener', async () => {
+    const container = mount();
+    const engine = new SpandrixEngine(`#${container.id}`);
+    engine.applyData({ count: 0 }, `<button data-on:click.once="count++">add</button><span>{{ count }}</span>`);
+    await tick();
+
+    const button = container.querySelector('button');
+    button.click();
+    await tick();
+    button.click();
+    await tick();
+
+    assertEqual(container.querySelector('span').textContent, '1', 'Handler ran once');
+    assert(!engine._eventListeners.some(listener => listener.element === button), 'Listener was removed');
+});
+
+test('clicks inside x-modal content do not bubble out of the modal', async () => {
+    const container = mount();
+    const engine = new SpandrixEngine(`#${container.id}`);
+    engine.applyData({ open: true }, `<x-modal :is-open="open" title="Hi"><p class="inside">Body</p></x-modal>`);
+    await tick();
+
+    let bubbled = 0;
+    container.addEventListener('click', () => bubbled++);
+    const inside = container.querySelector('.inside');
+    assert(inside, 'Modal content is rendered');
+    inside.click();
+
+    assertEqual(bubbled, 0, 'Click stopped at the modal content');
+});
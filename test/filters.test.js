@@ -0,0 +1,33 @@
+import { SpandrixEngine } from '../src/templateEngine.js';
+import { test, assertEqual, mount, tick } from './harness.js';
+
+const render = async (data, template) => {
+    const container = mount();
+    const engine = new SpandrixEngine(`#${container.id}`);
+    engine.registerFilter('wrap', (value, before, after) => `${before}${value}${after}`);
+    engine.applyData(data, template);
+    await tick();
+    return (selector) => container.querySelector(selector).textContent;
+};
+
+test('|| and ternaries before a filter are part of the expression', async () => {
+    const text = await render({ nickname: '', name: 'ada', count: 2 }, `
+        <p class="or">{{ nickname || name | uppercase }}</p>
+        <p class="ternary">{{ count > 1 ? 'items' : 'item' | uppercase }}</p>
+    `);
+    assertEqual(text('.or'), 'ADA', '|| is not a filter separator');
+    assertEqual(text('.ternary'), 'ITEMS', 'Ternary : is not an argument separator');
+});
+
+test('filter arguments may contain :, | and ternaries', async () => {
+    const text = await render({ time: 'noon', late: true, maxLength: 4, suffix: '~' }, `
+        <p class="string">{{ time | wrap: 'at 10:30 (', ') a|b' }}</p>
+        <p class="ternary">{{ time | wrap: late ? '[' : '(', late ? ']' : ')' }}</p>
+        <p class="scope">{{ 'abcdefgh' | truncate: maxLength, suffix }}</p>
+        <p class="colon">{{ 'abcdefgh' | truncate:3:'!' | uppercase }}</p>
+    `);
+    assertEqual(text('.string'), 'at 10:30 (noon) a|b', ': and | inside strings are kept');
+    assertEqual(text('.ternary'), '[noon]', 'Ternary arguments are evaluated');
+    assertEqual(text('.scope'), 'abcd~', 'Arguments are read from scope');
+    assertEqual(text('.colon'), 'ABC!', ': separated arguments and chaining work');
+});
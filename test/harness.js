@@ -0,0 +1,54 @@
+const tests = [];
+
+export function test(name, fn) {
+    tests.push({ name, fn });
+}
+
+export function assert(condition, message) {
+    if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+export function assertEqual(actual, expected, message) {
+    if (actual !== expected) {
+        throw new Error(`${message || 'Values differ'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+}
+
+export function tick(ms = 0) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export function mount(html = '') {
+    const container = document.createElement('div');
+    container.id = `spx-test-${tests.length}-${Math.random().toString(36).slice(2)}`;
+    if (html) container.innerHTML = html;
+    document.body.appendChild(container);
+    return container;
+}
+
+export async function captureConsole(method, fn) {
+    const original = console[method];
+    const calls = [];
+    console[method] = (...args) => calls.push(args.map(String).join(' '));
+    try {
+        await fn();
+    } finally {
+        console[method] = original;
+    }
+    return calls;
+}
+
+export async function run(report = () => {}) {
+    const results = { passed: 0, failed: 0 };
+    for (const { name, fn } of tests) {
+        try {
+            await fn();
+            results.passed++;
+            report({ name, ok: true });
+        } catch (error) {
+            results.failed++;
+            report({ name, ok: false, error });
+        }
+    }
+    return results;
+}
@@ -0,0 +1,36 @@
+import { SpandrixEngine } from '../src/templateEngine.js';
+import { test, assert, assertEqual, mount, tick } from './harness.js';
+
+test('escaped markup next to {{ }} stays text', async () => {
+    const container = mount();
+    const engine = new SpandrixEngine(`#${container.id}`);
+    engine.applyData({ y: 'after' }, `<p>&lt;b&gt;x&lt;/b&gt; {{ y }}</p>`);
+    await tick();
+
+    const p = container.querySelector('p');
+    assert(!p.querySelector('b'), 'No element was created');
+    assertEqual(p.textContent, '<b>x</b> after', 'Text is shown as written');
+});
+
+test('{{ }} output is never parsed as markup', async () => {
+    const container = mount();
+    const engine = new SpandrixEngine(`#${container.id}`);
+    engine.applyData({ name: '<img src=x onerror="window.__spxInjected = true">Tom & Jerry' }, `<p>Hi {{ name }}</p>`);
+    await tick();
+
+    const p = container.querySelector('p');
+    assert(!p.querySelector('img'), 'No element was created');
+    assertEqual(p.textContent, 'Hi <img src=x onerror="window.__spxInjected = true">Tom & Jerry', 'Value is shown as text');
+});
+
+test('{{{ }}} output becomes markup when raw HTML is allowed', async () => {
+    const container = mount();
+    const engine = new SpandrixEngine(`#${container.id}`, { allowRawHTML: true });
+    engine.applyData({ html: '<em>hi</em>', name: '<b>' }, `<p>{{ name }} {{{ html }}}</p>`);
+    await tick();
+
+    const p = container.querySelector('p');
+    assertEqual(p.querySelectorAll('em').length, 1, 'Raw HTML rendered');
+    assert(!p.querySelector('b'), 'Escaped part stays text');
+    assertEqual(p.textContent, '<b> hi', 'Text content is correct');
+});
@@ -0,0 +1,54 @@
+import { SpandrixEngine } from '../src/templateEngine.js';
+import { test, assert, assertEqual, mount, tick } from './harness.js';
+
+const functionCtor = "Object.getOwnPropertyDescriptor(Object.getPrototypeOf(Object), 'constr' + 'uctor').value";
+
+const render = async (template, data = {}, options = {}) => {
+    const container = mount();
+    const engine = new SpandrixEngine(`#${container.id}`, { expressionMode: 'interpreter', ...options });
+    engine.applyData(data, template);
+    await tick();
+    return container;
+};
+
+test('interpreter evaluates ordinary expressions', async () => {
+    const container = await render(`<p>{{ items.map(i => i * 2).join(',') }} {{ Math.max(1, 3) }}</p>`, { items: [1, 2] });
+    assertEqual(container.querySelector('p').textContent, '2,4 3', 'Expressions evaluate');
+});
+
+test('interpreter blocks call.call chains into the Function constructor', async () => {
+    delete window.__spxEscaped;
+    await render(`<p>{{ Object.getPrototypeOf(Object).call.call(${functionCtor}, null, 'window.__spxEscaped = true')() }}</p>`);
+    assert(!window.__spxEscaped, 'Function constructor was not reached');
+});
+
+test('interpreter blocks apply and bind chains into the Function constructor', async () => {
+    delete window.__spxEscaped;
+    await render(`
+        <p>{{ fn.call.apply(fn.call, [${functionCtor}, null, 'window.__spxEscaped = true'])() }}</p>
+        <p>{{ fn.bind.call(${functionCtor}, null, 'window.__spxEscaped = true')()() }}</p>
+    `, { fn() {} });
+    assert(!window.__spxEscaped, 'Function constructor was not reached');
+});
+
+test('interpreter does not hand out Function.prototype methods or function descriptors', async () => {
+    const container = await render(`
+        <p class="call">{{ typeof fn.call }}</p>
+        <p class="descriptor">{{ typeof Object.getOwnPropertyDescriptor(fn, 'name') }}</p>
+        <p class="invoke">{{ fn.call(null, 2) }}</p>
+    `, { fn: (n) => n * 2 });
+    assertEqual(container.querySelector('.call').textContent, '', 'call is not readable as a value');
+    assertEqual(container.querySelector('.descriptor').textContent, '', 'Descriptor of a function is refused');
+    assertEqual(container.querySelector('.invoke').textContent, '4', 'Calling fn.call directly still works');
+});
+
+test('interpreter globals cannot pollute built-in prototypes', async () => {
+    const container = await render(`
+        <p>{{ Object.assign(Object.getPrototypeOf([]), { spxPolluted: 'YES' }) }}</p>
+        <p>{{ Object.setPrototypeOf({}, null) }}</p>
+        <p class="keys">{{ Object.keys({ a: 1, b: 2 }).join(',') }}</p>
+    `);
+    assert(!('spxPolluted' in []), 'Array.prototype was not polluted');
+    assert(!('spxPolluted' in {}), 'Object.prototype was not polluted');
+    assertEqual(container.querySelector('.keys').textContent, 'a,b', 'Safe statics still work');
+});
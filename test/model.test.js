@@ -0,0 +1,55 @@
+import { SpandrixEngine } from '../src/templateEngine.js';
+import { test, assertEqual, mount, tick, captureConsole } from './harness.js';
+
+test('pending .debounce writes are dropped when the component is destroyed', async () => {
+    const container = mount();
+    const engine = new SpandrixEngine(`#${container.id}`);
+    let componentData = null;
+    engine.registerComponent('debounced-input', {
+        template: `<input data-model.debounce.20ms="query">`,
+        data: () => (componentData = { query: 'start' })
+    });
+    engine.applyData({ show: true }, `<debounced-input data-if="show"></debounced-input>`);
+    await tick();
+
+    const input = container.querySelector('input');
+    input.value = 'typed';
+    input.dispatchEvent(new Event('input'));
+    const uncaught = [];
+    const onError = (event) => uncaught.push(event.error);
+    window.addEventListener('error', onError);
+    const errors = await captureConsole('error', async () => {
+        engine.applyData({ show: false });
+        await tick(40);
+    });
+    window.removeEventListener('error', onError);
+
+    assertEqual(errors.length + uncaught.length, 0, 'No errors raised');
+    assertEqual(componentData.query, 'start', 'Destroyed component was not written to');
+});
+
+test('data-model on a loop variable writes primitives and object fields back', async () => {
+    const container = mount();
+    const engine = new SpandrixEngine(`#${container.id}`);
+    const data = { tags: ['a', 'b'], rows: [{ name: 'x' }, { name: 'y' }] };
+    engine.applyData(data, `
+        <input class="tag" data-repeat="tag in tags" data-model="tag">
+        <input class="row" data-repeat="row in rows" data-model="row.name">
+        <p class="tags">{{ tags.join(',') }}</p>
+        <p class="rows">{{ rows.map(r => r.name).join(',') }}</p>
+    `);
+    await tick();
+
+    const type = (input, value) => {
+        input.value = value;
+        input.dispatchEvent(new Event('input', { bubbles: true }));
+    };
+    type(container.querySelectorAll('.tag')[1], 'B');
+    type(container.querySelectorAll('.row')[0], 'X');
+    await tick();
+
+    assertEqual(data.tags[1], 'B', 'Primitive was written into the array');
+    assertEqual(data.rows[0].name, 'X', 'Object field was written');
+    assertEqual(container.querySelector('.tags').textContent, 'a,B', 'Primitive change re-rendered');
+    assertEqual(container.querySelector('.rows').textContent, 'X,y', 'Field change re-rendered');
+});
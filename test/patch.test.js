@@ -0,0 +1,58 @@
+import { SpandrixEngine } from '../src/templateEngine.js';
+import { test, assertEqual, mount, tick } from './harness.js';
+
+test('focus and caret survive a component $update', async () => {
+    const container = mount();
+    const engine = new SpandrixEngine(`#${container.id}`);
+    engine.registerComponent('focus-form', {
+        template: `<div><p class="hint">{{ hint }}</p><input class="field" :placeholder="hint"></div>`,
+        data() {
+            return { hint: 'first' };
+        }
+    });
+    engine.applyData({}, `<focus-form data-ref="form"></focus-form>`);
+    await tick();
+
+    const input = container.querySelector('.field');
+    input.value = 'hello';
+    input.focus();
+    input.setSelectionRange(2, 2);
+
+    engine.$refs.form.hint = 'second';
+    await tick();
+
+    assertEqual(container.querySelector('.hint').textContent, 'second', 'Component updated');
+    assertEqual(container.querySelector('.field'), input, 'Input node was kept');
+    assertEqual(document.activeElement, input, 'Input kept focus');
+    assertEqual(input.value, 'hello', 'Typed value was kept');
+    assertEqual(input.selectionStart, 2, 'Caret position was kept');
+    assertEqual(input.getAttribute('placeholder'), 'second', 'Attributes were patched');
+});
+
+test('child components keep their data across a root re-render', async () => {
+    const container = mount();
+    const engine = new SpandrixEngine(`#${container.id}`);
+    engine.registerComponent('kept-counter', {
+        template: `<span class="count">{{ count }}</span>`,
+        data() {
+            return { count: 0 };
+        }
+    });
+    const template = `<h1>{{ title }}</h1><kept-counter data-ref="counter"></kept-counter>`;
+    engine.applyData({ title: 'one' }, template);
+    await tick();
+
+    const host = container.querySelector('kept-counter');
+    const instance = host._spandrixComponent;
+    engine.$refs.counter.count = 5;
+    await tick();
+
+    engine.applyData({ title: 'two' });
+    await tick();
+
+    assertEqual(container.querySelector('h1').textContent, 'two', 'Root re-rendered');
+    assertEqual(container.querySelector('kept-counter'), host, 'Host element was kept');
+    assertEqual(host._spandrixComponent, instance, 'Component instance was kept');
+    assertEqual(instance._componentData.count, 5, 'Component data was kept');
+    assertEqual(container.querySelector('.count').textContent, '5', 'Rendered state was kept');
+});
@@ -0,0 +1,44 @@
+import { SpandrixEngine } from '../src/templateEngine.js';
+import { test, assertEqual, mount, tick } from './harness.js';
+
+test('injected values update when the provider changes', async () => {
+    const container = mount();
+    const engine = new SpandrixEngine(`#${container.id}`);
+    engine.registerComponent('theme-shell', {
+        template: `<main><theme-middle></theme-middle></main>`,
+        data: () => ({ theme: 'dark', user: { name: 'Ann' } }),
+        provide() {
+            return {
+                theme: this.theme,
+                user: this.user,
+                toggleTheme: () => { this.theme = this.theme === 'dark' ? 'light' : 'dark'; }
+            };
+        }
+    });
+    engine.registerComponent('theme-middle', {
+        template: `<section><theme-toggle></theme-toggle></section>`
+    });
+    engine.registerComponent('theme-toggle', {
+        template: `<button :class="theme" data-on:click="toggleTheme()">{{ theme }} ({{ user.name }}) {{ locale }}</button>`,
+        inject: {
+            theme: 'theme',
+            user: 'user',
+            toggleTheme: 'toggleTheme',
+            locale: { from: 'locale', default: 'en' }
+        }
+    });
+    engine.applyData({}, `<theme-shell data-ref="shell"></theme-shell>`);
+    await tick();
+
+    const button = () => container.querySelector('button');
+    assertEqual(button().textContent, 'dark (Ann) en', 'Injected values and defaults render through a middle component');
+
+    button().click();
+    await tick();
+    assertEqual(button().textContent, 'light (Ann) en', 'Injected function updates the provider');
+    assertEqual(button().className, 'light', 'Bindings follow the injected value');
+
+    engine.$refs.shell.user.name = 'Bea';
+    await tick();
+    assertEqual(button().textContent, 'light (Bea) en', 'Nested provided objects stay reactive');
+});
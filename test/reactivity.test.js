@@ -0,0 +1,90 @@
+import { SpandrixEngine } from '../src/templateEngine.js';
+import { test, assertEqual, mount, tick } from './harness.js';
+
+const setup = (name, definition) => {
+    const container = mount();
+    const engine = new SpandrixEngine(`#${container.id}`);
+    engine.registerComponent(name, definition);
+    return { container, engine };
+};
+
+test('a component reading only $state.user ignores other state keys', async () => {
+    let renders = 0;
+    const { container, engine } = setup('state-user', {
+        template: `<p>{{ countRender() }}{{ $state.user }}</p>`,
+        methods: {
+            countRender() {
+                renders++;
+                return '';
+            }
+        }
+    });
+    engine.setState({ user: 'ann', other: 0 });
+    engine.applyData({}, `<state-user></state-user>`);
+    await tick();
+    const initialRenders = renders;
+
+    engine.setState('other', 1);
+    await tick();
+    assertEqual(renders, initialRenders, 'Unrelated state change did not re-render');
+
+    engine.setState('user', 'bob');
+    await tick();
+    assertEqual(renders, initialRenders + 1, 'Reading state change re-rendered once');
+    assertEqual(container.querySelector('p').textContent, 'bob', 'New value is shown');
+});
+
+test('a data key named id does not follow globalData.id', async () => {
+    let renders = 0;
+    const { container, engine } = setup('local-id', {
+        template: `<p>{{ countRender() }}{{ id }}</p>`,
+        data() {
+            return { id: 'local' };
+        },
+        methods: {
+            countRender() {
+                renders++;
+                return '';
+            }
+        }
+    });
+    engine.setGlobalData({ id: 'g1' });
+    engine.applyData({}, `<local-id></local-id>`);
+    await tick();
+    const initialRenders = renders;
+
+    engine.setGlobalData({ id: 'g2' });
+    await tick();
+    assertEqual(renders, initialRenders, 'globalData.id change did not re-render');
+    assertEqual(container.querySelector('p').textContent, 'local', 'Component data wins');
+});
+
+test('computed properties recompute only when what they read changes', async () => {
+    let computations = 0;
+    const { container, engine } = setup('computed-probe', {
+        template: `<p>{{ double }} {{ b }}</p>`,
+        data() {
+            return { a: 1, b: 1 };
+        },
+        computed: {
+            double() {
+                computations++;
+                return this.a * 2;
+            }
+        }
+    });
+    engine.applyData({}, `<computed-probe data-ref="probe"></computed-probe>`);
+    await tick();
+    const probe = engine.$refs.probe;
+    const initialComputations = computations;
+
+    probe.b = 2;
+    await tick();
+    assertEqual(computations, initialComputations, 'Unrelated change reused the cached value');
+    assertEqual(container.querySelector('p').textContent, '2 2', 'Template still updated');
+
+    probe.a = 5;
+    await tick();
+    assertEqual(computations, initialComputations + 1, 'Dependency change recomputed once');
+    assertEqual(container.querySelector('p').textContent, '10 2', 'New computed value is shown');
+});
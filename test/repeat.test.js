@@ -0,0 +1,141 @@
+import { SpandrixEngine } from '../src/templateEngine.js';
+import { test, assert, assertEqual, mount, tick, captureConsole } from './harness.js';
+
+const renderKeyedList = async () => {
+    const container = mount();
+    const engine = new SpandrixEngine(`#${container.id}`);
+    engine.registerComponent('row-label', {
+        template: `<span class="label">{{ label }}</span>`,
+        props: ['label']
+    });
+    engine.registerComponent('keyed-list', {
+        template: `
+            <ul>
+                <li data-repeat="item in items" data-key="item.id" :data-id="item.id">
+                    <input class="field"><row-label :label="item.name"></row-label>
+                </li>
+            </ul>`,
+        data() {
+            return { items: [{ id: 1, name: 'a' }, { id: 2, name: 'b' }, { id: 3, name: 'c' }] };
+        }
+    });
+    engine.applyData({}, `<keyed-list data-ref="list"></keyed-list>`);
+    await tick();
+
+    const snapshot = () => {
+        const rows = {};
+        container.querySelectorAll('li').forEach(li => {
+            rows[li.getAttribute('data-id')] = {
+                li,
+                input: li.querySelector('.field'),
+                instance: li.querySelector('row-label')._spandrixComponent
+            };
+        });
+        return rows;
+    };
+    const order = () => Array.from(container.querySelectorAll('li')).map(li => li.getAttribute('data-id')).join(',');
+    return { container, engine, list: engine.$refs.list, snapshot, order };
+};
+
+const assertKept = (before, after, ids) => {
+    ids.forEach(id => {
+        assertEqual(after[id].li, before[id].li, `<li> ${id} was reused`);
+        assertEqual(after[id].input.value, `typed-${id}`, `Input ${id} kept its value`);
+        assertEqual(after[id].instance, before[id].instance, `Component in row ${id} was kept`);
+    });
+};
+
+test('keyed data-repeat keeps nodes, input values and components on reorder', async () => {
+    const { list, snapshot, order } = await renderKeyedList();
+    const before = snapshot();
+    Object.keys(before).forEach(id => { before[id].input.value = `typed-${id}`; });
+
+    list.items.reverse();
+    await tick();
+
+    assertEqual(order(), '3,2,1', 'Rows follow the new order');
+    assertKept(before, snapshot(), ['1', '2', '3']);
+});
+
+test('keyed data-repeat keeps surviving nodes on splice and push', async () => {
+    const { list, snapshot, order, container } = await renderKeyedList();
+    const before = snapshot();
+    Object.keys(before).forEach(id => { before[id].input.value = `typed-${id}`; });
+
+    list.items.splice(1, 1);
+    await tick();
+    assertEqual(order(), '1,3', 'Removed row is gone');
+    assertKept(before, snapshot(), ['1', '3']);
+
+    list.items.push({ id: 4, name: 'd' });
+    await tick();
+    assertEqual(order(), '1,3,4', 'Pushed row is appended');
+    const after = snapshot();
+    assertKept(before, after, ['1', '3']);
+    assertEqual(after['4'].input.value, '', 'New row starts empty');
+    assertEqual(container.querySelector('li[data-id="4"] .label').textContent, 'd', 'New row renders its component');
+});
+
+test('duplicate and missing keys still render every item', async () => {
+    const container = mount();
+    const engine = new SpandrixEngine(`#${container.id}`);
+    const warnings = await captureConsole('warn', async () => {
+        engine.applyData(
+            { items: [{ id: 1, name: 'a' }, { id: 1, name: 'b' }, { name: 'c' }] },
+            `<li data-repeat="item in items" data-key="item.id">{{ item.name }}</li>`
+        );
+        await tick();
+    });
+
+    const texts = () => Array.from(container.querySelectorAll('li')).map(li => li.textContent).join(',');
+    assertEqual(texts(), 'a,b,c', 'All items are rendered');
+    assert(warnings.some(message => message.includes('Duplicate key "1"')), 'Duplicate key is reported');
+
+    engine.applyData({ items: [{ name: 'c' }, { id: 1, name: 'a' }] });
+    await tick();
+    assertEqual(texts(), 'c,a', 'List updates after duplicates and missing keys');
+});
+
+test('unkeyed data-repeat renders and updates by position', async () => {
+    const container = mount();
+    const engine = new SpandrixEngine(`#${container.id}`);
+    engine.applyData({ nums: [1, 2, 3] }, `<ul><li data-repeat="n, i in nums">{{ i }}:{{ n }}</li></ul>`);
+    await tick();
+    const texts = () => Array.from(container.querySelectorAll('li')).map(li => li.textContent).join(',');
+    assertEqual(texts(), '0:1,1:2,2:3', 'Items render with their index');
+
+    engine.applyData({ nums: [5, 6] });
+    await tick();
+    assertEqual(texts(), '0:5,1:6', 'Items update by position');
+});
+
+test('repeat anchors and if placeholders stay stable across re-renders', async () => {
+    const container = mount();
+    const engine = new SpandrixEngine(`#${container.id}`);
+    const template = `<ul><li data-repeat="n in nums">{{ n }}</li></ul><p data-if="show">shown</p>`;
+    engine.applyData({ nums: [1, 2], show: false }, template);
+    await tick();
+
+    const comments = () => {
+        const walker = document.createTreeWalker(container, NodeFilter.SHOW_COMMENT);
+        const nodes = [];
+        while (walker.nextNode()) nodes.push(walker.currentNode);
+        return nodes;
+    };
+    const before = comments();
+    const labels = before.map(node => node.nodeValue);
+    const counter = engine._componentCounter;
+
+    engine.applyData({ nums: [1, 2, 3], show: false });
+    await tick();
+    engine.applyData({ nums: [3], show: false });
+    await tick();
+
+    const after = comments();
+    assertEqual(after.length, before.length, 'Same number of comment nodes');
+    after.forEach((node, i) => {
+        assertEqual(node, before[i], 'Comment node was reused');
+        assertEqual(node.nodeValue, labels[i], 'Comment text is unchanged');
+    });
+    assertEqual(engine._componentCounter, counter, 'No component ids were used');
+});
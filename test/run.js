@@ -0,0 +1,38 @@
+import { readdirSync } from 'node:fs';
+import { JSDOM } from 'jsdom';
+
+const dom = new JSDOM('<!DOCTYPE html><html><head></head><body></body></html>', {
+    url: 'http://localhost/',
+    pretendToBeVisual: true
+});
+const { window } = dom;
+const domClasses = ['Event', 'CustomEvent', 'EventTarget'];
+
+Object.getOwnPropertyNames(window).forEach(name => {
+    if (name in globalThis && !domClasses.includes(name)) return;
+    Object.defineProperty(globalThis, name, {
+        configurable: true,
+        get: () => window[name],
+        set: value => { window[name] = value; }
+    });
+});
+
+const { run } = await import('./harness.js');
+const testFiles = readdirSync(new URL('.', import.meta.url))
+    .filter(file => file.endsWith('.test.js'))
+    .sort();
+for (const file of testFiles) {
+    await import(`./${file}`);
+}
+
+const { passed, failed } = await run(({ name, ok, error }) => {
+    if (ok) {
+        console.log(`✓ ${name}`);
+    } else {
+        console.log(`✗ ${name}`);
+        console.log(error && error.stack ? error.stack : error);
+    }
+});
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exitCode = failed ? 1 : 0;
+window.close();
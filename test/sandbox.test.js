@@ -0,0 +1,47 @@
+import { SpandrixEngine } from '../src/templateEngine.js';
+import { test, assert, assertEqual, mount, tick } from './harness.js';
+
+const render = async (template, data = {}, options = {}) => {
+    const container = mount();
+    const engine = new SpandrixEngine(`#${container.id}`, { sandbox: true, ...options });
+    engine.applyData(data, template);
+    await tick();
+    return container;
+};
+
+test('sandbox keeps allowlisted globals usable', async () => {
+    const container = await render(
+        `<p>{{ Math.max(1, 3) }}|{{ new Date(0).getTime() }}|{{ Array.isArray(items) }}|{{ Object.keys(o).length }}|{{ JSON.stringify(o) }}|{{ String(5) }}</p>`,
+        { items: [1], o: { a: 1 } }
+    );
+    assertEqual(container.querySelector('p').textContent, '3|0|true|1|{"a":1}|5', 'Globals work');
+});
+
+test('sandbox blocks computed constructor keys in function mode', async () => {
+    delete window.__spxEscaped;
+    await render(`
+        <p>{{ (x => x)['constr' + 'uctor']('window.__spxEscaped = 1')() }}</p>
+        <p>{{ ''['constr' + 'uctor']['constr' + 'uctor']('window.__spxEscaped = 2')() }}</p>
+    `, {}, { expressionMode: 'function' });
+    assert(!window.__spxEscaped, 'Function constructor was not reached');
+});
+
+test('sandbox blocks call.call chains', async () => {
+    delete window.__spxEscaped;
+    await render(
+        `<p>{{ fn.call.call(fn['constr' + 'uctor'], null, 'window.__spxEscaped = 1')() }}</p>`,
+        { fn() {} },
+        { expressionMode: 'function' }
+    );
+    assert(!window.__spxEscaped, 'Function constructor was not reached');
+});
+
+test('sandbox globals cannot pollute or modify the real built-ins', async () => {
+    const realMax = Math.max;
+    await render(`
+        <p>{{ Object.assign(Object.getPrototypeOf({}), { spxPolluted: true }) }}</p>
+        <p>{{ Math.max = null }}</p>
+    `);
+    assert(!('spxPolluted' in {}), 'Object.prototype was not polluted');
+    assertEqual(Math.max, realMax, 'Math was not modified');
+});
@@ -0,0 +1,43 @@
+import { SpandrixEngine } from '../src/templateEngine.js';
+import { test, assertEqual, mount } from './harness.js';
+
+test('several writes in one tick produce a single update', async () => {
+    const container = mount();
+    const engine = new SpandrixEngine(`#${container.id}`);
+    engine.registerComponent('batched-pair', {
+        template: `<p>{{ a }}-{{ b }}</p>`,
+        data() {
+            return { a: 0, b: 0 };
+        }
+    });
+    engine.applyData({}, `<batched-pair data-ref="pair"></batched-pair>`);
+    await engine.nextTick();
+
+    let updates = 0;
+    engine.addHook('afterComponentUpdate', () => updates++);
+    const pair = engine.$refs.pair;
+    pair.a = 1;
+    pair.b = 2;
+    pair.a = 3;
+
+    assertEqual(container.querySelector('p').textContent, '0-0', 'DOM is not updated synchronously');
+    await engine.nextTick();
+    assertEqual(updates, 1, 'Component updated once');
+    assertEqual(container.querySelector('p').textContent, '3-2', 'Final values are rendered');
+});
+
+test('nextTick callbacks run after the pending flush', async () => {
+    const container = mount();
+    const engine = new SpandrixEngine(`#${container.id}`);
+    engine.setState('count', 0);
+    engine.applyData({}, `<span>{{ $state.count }}</span>`);
+    await engine.nextTick();
+
+    engine.setState('count', 1);
+    assertEqual(container.querySelector('span').textContent, '0', 'Update is still pending');
+    let seen = null;
+    await engine.nextTick(() => {
+        seen = container.querySelector('span').textContent;
+    });
+    assertEqual(seen, '1', 'Callback sees the updated DOM');
+});
@@ -0,0 +1,58 @@
+import { SpandrixEngine } from '../src/templateEngine.js';
+import { test, assertEqual, mount, tick } from './harness.js';
+
+const setup = () => {
+    const container = mount();
+    const engine = new SpandrixEngine(`#${container.id}`);
+    engine.registerComponent('item-list', {
+        props: ['rows'],
+        template: `
+            <ul>
+                <li data-repeat="row in rows"><slot name="row" :item="row" :index="$index" label="static">{{ row.name }}</slot></li>
+            </ul>
+            <footer><slot name="footer"><em class="fallback">No footer</em></slot></footer>`
+    });
+    return { container, engine };
+};
+
+test('scoped slots receive slot props for each item', async () => {
+    const { container, engine } = setup();
+    engine.applyData({ users: [{ name: 'ann' }, { name: 'bob' }], prefix: '#' }, `
+        <item-list :rows="users">
+            <template slot="row" slot-scope="{ item: user, index, label }">{{ prefix }}{{ index }} {{ user.name }} {{ label }}</template>
+        </item-list>
+    `);
+    await tick();
+
+    const rows = () => Array.from(container.querySelectorAll('li')).map(li => li.textContent.trim());
+    assertEqual(rows().join('|'), '#0 ann static|#1 bob static', 'Slot props and parent data are available');
+
+    engine.applyData({ users: [{ name: 'cy' }], prefix: '>' });
+    await tick();
+    assertEqual(rows().join('|'), '>0 cy static', 'Scoped slot follows the data');
+});
+
+test('v-slot shorthand receives the whole props object', async () => {
+    const { container, engine } = setup();
+    engine.applyData({ users: [{ name: 'ann' }] }, `
+        <item-list :rows="users"><template #row="props">{{ props.item.name }}!</template></item-list>
+    `);
+    await tick();
+    assertEqual(container.querySelector('li').textContent.trim(), 'ann!', 'props object is bound');
+});
+
+test('slot fallback content renders only when the parent provides nothing', async () => {
+    const { container, engine } = setup();
+    engine.applyData({ users: [{ name: 'ann' }] }, `<item-list :rows="users"></item-list>`);
+    await tick();
+    assertEqual(container.querySelector('li').textContent.trim(), 'ann', 'Row fallback uses child data');
+    assertEqual(container.querySelector('footer').textContent.trim(), 'No footer', 'Footer fallback is shown');
+
+    const second = setup();
+    second.engine.applyData({ users: [] }, `
+        <item-list :rows="users"><template #footer><b class="custom">Custom</b></template></item-list>
+    `);
+    await tick();
+    assertEqual(second.container.querySelector('footer').textContent.trim(), 'Custom', 'Provided content replaces the fallback');
+    assertEqual(second.container.querySelector('.fallback'), null, 'Fallback is not rendered');
+});
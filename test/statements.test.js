@@ -0,0 +1,77 @@
+import { SpandrixEngine } from '../src/templateEngine.js';
+import { test, assertEqual, mount, tick, captureConsole } from './harness.js';
+
+test('inline handlers can declare names that also exist in scope', async () => {
+    const container = mount();
+    const engine = new SpandrixEngine(`#${container.id}`);
+    engine.applyData({ count: 0, x: 10 }, `
+        <button data-on:click="let x = 1; x++; count = x">add</button>
+        <span>{{ count }} {{ x }}</span>
+    `);
+    await tick();
+
+    const errors = await captureConsole('error', async () => {
+        container.querySelector('button').click();
+        await tick();
+    });
+    assertEqual(errors.length, 0, 'No errors logged');
+    assertEqual(container.querySelector('span').textContent, '2 10', 'Declared x stays local');
+});
+
+test('inline handlers with return keep earlier assignments', async () => {
+    const container = mount();
+    const engine = new SpandrixEngine(`#${container.id}`);
+    engine.applyData({ count: 0 }, `
+        <button data-on:click="count++; if (count > 1) return; count += 10">add</button>
+        <span>{{ count }}</span>
+    `);
+    await tick();
+
+    const errors = await captureConsole('error', async () => {
+        container.querySelector('button').click();
+        await tick();
+        container.querySelector('button').click();
+        await tick();
+    });
+    assertEqual(errors.length, 0, 'No errors logged');
+    assertEqual(container.querySelector('span').textContent, '12', 'Assignments before return are applied');
+});
+
+const renderCounter = async (handler, expressionMode = 'function') => {
+    const container = mount();
+    const engine = new SpandrixEngine(`#${container.id}`, { expressionMode });
+    engine.registerComponent('statement-counter', {
+        template: `<div><button data-on:click="${handler}">go</button><span class="count">{{ count }}</span><span class="snap">{{ snap }}</span></div>`,
+        data() {
+            return { count: 5, snap: 0, items: [1, 2] };
+        },
+        methods: {
+            reset() {
+                this.count = 0;
+            },
+            bump() {
+                this.count += 100;
+            }
+        }
+    });
+    engine.applyData({}, `<statement-counter></statement-counter>`);
+    await tick();
+    container.querySelector('button').click();
+    await tick();
+    return {
+        count: container.querySelector('.count').textContent,
+        snap: container.querySelector('.snap').textContent
+    };
+};
+
+['function', 'interpreter'].forEach(mode => {
+    test(`inline statements see writes made by methods they call (${mode})`, async () => {
+        assertEqual((await renderCounter('count++; reset()', mode)).count, '0', 'reset() is not overwritten');
+        assertEqual((await renderCounter('bump(); snap = count', mode)).snap, '105', 'Reads see the method\'s write');
+    });
+});
+
+test('declarations inside nested callbacks do not hide outer names', async () => {
+    const result = await renderCounter('count++; items.forEach(i => { let count = i * 10; })');
+    assertEqual(result.count, '6', 'Outer count was incremented');
+});
@@ -0,0 +1,80 @@
+import { SpandrixEngine } from '../src/templateEngine.js';
+import { test, assert, assertEqual, mount, tick, captureConsole } from './harness.js';
+
+class FakeTrustedHTML {
+    constructor(html) { this.html = html; }
+    toString() { return this.html; }
+}
+
+const withEnforcedTrustedTypes = async (fn) => {
+    const originalFactory = window.trustedTypes;
+    const descriptor = Object.getOwnPropertyDescriptor(Element.prototype, 'innerHTML');
+    const policyNames = new Set();
+    const rejected = [];
+
+    window.trustedTypes = {
+        createPolicy(name, rules) {
+            if (policyNames.has(name)) throw new TypeError(`Policy "${name}" already exists`);
+            policyNames.add(name);
+            return { name, createHTML: html => new FakeTrustedHTML(rules.createHTML(html)) };
+        }
+    };
+    Object.defineProperty(Element.prototype, 'innerHTML', {
+        configurable: true,
+        get() { return descriptor.get.call(this); },
+        set(value) {
+            if (!(value instanceof FakeTrustedHTML)) rejected.push(String(value));
+            descriptor.set.call(this, String(value));
+        }
+    });
+
+    try {
+        await fn(rejected);
+    } finally {
+        Object.defineProperty(Element.prototype, 'innerHTML', descriptor);
+        if (originalFactory === undefined) delete window.trustedTypes;
+        else window.trustedTypes = originalFactory;
+    }
+};
+
+test('all engine HTML sinks receive TrustedHTML from the policy', async () => {
+    await withEnforcedTrustedTypes(async (rejected) => {
+        const container = mount();
+        const engine = new SpandrixEngine(`#${container.id}`, { trustedTypesPolicy: 'spx-test', allowRawHTML: true });
+        engine.registerComponent('tt-card', { template: `<div class="card"><slot></slot></div>` });
+        engine.applyData({ html: '<em>hi</em>' }, `<tt-card><p data-html="html"></p><span>{{{ html }}}</span></tt-card>`);
+        await tick();
+
+        assertEqual(container.querySelectorAll('.card em').length, 2, 'HTML was rendered');
+        assertEqual(rejected.length, 0, `Plain strings reached innerHTML: ${rejected.join(' | ')}`);
+    });
+});
+
+test('raw HTML is sanitized while a policy is active', async () => {
+    await withEnforcedTrustedTypes(async () => {
+        const container = mount();
+        const engine = new SpandrixEngine(`#${container.id}`, { trustedTypesPolicy: 'spx-sanitize', allowRawHTML: true });
+        engine.applyData({ html: '<img src="x.png" onerror="alert(1)"><script>alert(2)</script><b>ok</b>' },
+            `<p data-html="html"></p><div>{{{ html }}}</div>`);
+        await tick();
+
+        container.querySelectorAll('img').forEach(img => assert(!img.hasAttribute('onerror'), 'onerror was stripped'));
+        assertEqual(container.querySelectorAll('script').length, 0, 'Scripts were dropped');
+        assertEqual(container.querySelectorAll('b').length, 2, 'Safe markup was kept');
+    });
+});
+
+test('a duplicate policy name falls back instead of breaking rendering', async () => {
+    await withEnforcedTrustedTypes(async () => {
+        const first = mount();
+        const second = mount();
+        new SpandrixEngine(`#${first.id}`, { trustedTypesPolicy: 'spx-dup' }).applyData({ n: 1 }, `<p>{{ n }}</p>`);
+        const warnings = await captureConsole('warn', async () => {
+            new SpandrixEngine(`#${second.id}`, { trustedTypesPolicy: 'spx-dup' }).applyData({ n: 2 }, `<p>{{ n }}</p>`);
+            await tick();
+        });
+
+        assertEqual(second.querySelector('p').textContent, '2', 'Second engine rendered');
+        assert(warnings.some(message => message.includes('spx-dup')), 'Fallback was reported');
+    });
+});